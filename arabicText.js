@@ -0,0 +1,61 @@
+// Harakat, superscript alef, Quranic annotation marks and tatweel.
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const ARABIC_LETTER_MAP = {
+  "آ": "ا",
+  "أ": "ا",
+  "إ": "ا",
+  "ٱ": "ا",
+  "ى": "ي",
+  "ی": "ي",
+  "ے": "ي",
+  "ئ": "ي",
+  "ؤ": "و",
+  "ة": "ه",
+  "ۃ": "ه",
+  "ہ": "ه",
+  "ھ": "ه",
+  "ە": "ه",
+  "ک": "ك"
+};
+const ARABIC_LETTERS = new RegExp(`[${Object.keys(ARABIC_LETTER_MAP).join("")}]`, "g");
+const FINAL_HAMZA = /ء(?=[^\p{L}]|$)/gu;
+const ARTICLE_PREFIXES = ["وال", "بال", "فال", "كال", "ال"];
+const MIN_STEM_LENGTH = 3;
+// Words whose leading ال or وال is part of the word itself; stripping would turn اللهم into
+// لهم and والدين (parents) into دين (religion, debt). Shorter ones are kept by MIN_STEM_LENGTH.
+const ARTICLE_EXCEPTIONS = new Set([
+  "اللهم",
+  "والدين",
+  "والديه",
+  "والديك",
+  "والدان",
+  "والدتي",
+  "والدته",
+  "والدها",
+  "والدهم"
+]);
+
+function normalizeArabicScript(text) {
+  return String(text ?? "")
+    .replace(ARABIC_MARKS, "")
+    .replace(ARABIC_LETTERS, (letter) => ARABIC_LETTER_MAP[letter])
+    .replace(FINAL_HAMZA, "");
+}
+
+function stripArabicArticle(token) {
+  const value = String(token || "");
+  if (ARTICLE_EXCEPTIONS.has(value)) {
+    return value;
+  }
+  for (const prefix of ARTICLE_PREFIXES) {
+    if (value.startsWith(prefix) && value.length - prefix.length >= MIN_STEM_LENGTH) {
+      return value.slice(prefix.length);
+    }
+  }
+  return value;
+}
+
+module.exports = {
+  normalizeArabicScript,
+  stripArabicArticle
+};
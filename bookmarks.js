@@ -0,0 +1,222 @@
+const { createStore } = require("./store");
+const { escapeHtml } = require("./utils");
+
+const BOOKMARK_TYPES = Object.freeze({
+  dua: { code: "d", label: "Dua" },
+  hadith: { code: "h", label: "Hadith" }
+});
+const MAX_BOOKMARKS = 100;
+const SAVED_PAGE_SIZE = 5;
+const SAVE_CALLBACK_PREFIX = "save";
+const SAVED_CALLBACK_PREFIX = "saved";
+const MAX_CALLBACK_DATA_LENGTH = 64;
+
+function getTypeByCode(code) {
+  return Object.keys(BOOKMARK_TYPES).find((type) => BOOKMARK_TYPES[type].code === code) || null;
+}
+
+function toBookmarkKey(type, id) {
+  return `${type}:${id}`;
+}
+
+class BookmarkStore {
+  constructor({ store = createStore("bookmarks"), maxBookmarks = MAX_BOOKMARKS } = {}) {
+    this.store = store;
+    this.maxBookmarks = maxBookmarks;
+    this.loadPromise = null;
+  }
+
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store.load().catch((error) => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async list(userId) {
+    const records = await this.load();
+    return [...(records.get(String(userId))?.items || [])];
+  }
+
+  // Reads and writes of the in-memory record happen without an await in between,
+  // so two taps arriving together cannot overwrite each other's change.
+  async update(userId, change) {
+    const records = await this.load();
+    const key = String(userId);
+    const items = change([...(records.get(key)?.items || [])]);
+    if (!items) {
+      return false;
+    }
+    if (items.length === 0) {
+      records.delete(key);
+      await this.store.delete(key);
+    } else {
+      records.set(key, { items });
+      await this.store.set(key, { items });
+    }
+    return true;
+  }
+
+  async add(userId, { type, id, title }) {
+    const key = toBookmarkKey(type, id);
+    let reason = null;
+    await this.update(userId, (items) => {
+      if (items.some((item) => toBookmarkKey(item.type, item.id) === key)) {
+        reason = "exists";
+        return null;
+      }
+      if (items.length >= this.maxBookmarks) {
+        reason = "full";
+        return null;
+      }
+      const savedAt = new Date().toISOString();
+      return [{ type, id: String(id), title: String(title || ""), savedAt }, ...items];
+    });
+    return reason ? { added: false, reason } : { added: true };
+  }
+
+  remove(userId, type, id) {
+    const key = toBookmarkKey(type, id);
+    return this.update(userId, (items) => {
+      const remaining = items.filter((item) => toBookmarkKey(item.type, item.id) !== key);
+      return remaining.length === items.length ? null : remaining;
+    });
+  }
+}
+
+function createBookmarkStore(options) {
+  return new BookmarkStore(options);
+}
+
+function fitsCallbackData(data) {
+  return Buffer.byteLength(data, "utf8") <= MAX_CALLBACK_DATA_LENGTH;
+}
+
+function buildSaveKeyboard(type, id) {
+  const code = BOOKMARK_TYPES[type]?.code;
+  const data = `${SAVE_CALLBACK_PREFIX}:${code}:${id}`;
+  if (!code || !String(id || "").trim() || !fitsCallbackData(data)) {
+    return undefined;
+  }
+  return { inline_keyboard: [[{ text: "⭐ Save", callback_data: data }]] };
+}
+
+function parseSaveCallbackData(data) {
+  const [prefix, code, ...idParts] = String(data || "").split(":");
+  const type = getTypeByCode(code);
+  const id = idParts.join(":");
+  if (prefix !== SAVE_CALLBACK_PREFIX || !type || !id) {
+    return null;
+  }
+  return { type, id };
+}
+
+function getSavedPageCount(total) {
+  return Math.max(1, Math.ceil(total / SAVED_PAGE_SIZE));
+}
+
+function clampSavedPage(page, total) {
+  const value = Number.isInteger(page) ? page : 0;
+  return Math.min(Math.max(value, 0), getSavedPageCount(total) - 1);
+}
+
+function buildSavedMessage(items, page = 0) {
+  if (items.length === 0) {
+    return [
+      "⭐ <b>Saved</b>",
+      "━━━━━━━━━━━━━━━━━━",
+      "",
+      "You have no saved duas or hadith yet.",
+      "Tap <b>⭐ Save</b> under any dua or hadith to keep it here."
+    ].join("\n");
+  }
+
+  const currentPage = clampSavedPage(page, items.length);
+  const start = currentPage * SAVED_PAGE_SIZE;
+  const rows = items.slice(start, start + SAVED_PAGE_SIZE).map((item, idx) => {
+    const label = BOOKMARK_TYPES[item.type]?.label || "Item";
+    return `<b>${start + idx + 1}.</b> <b>[${label}]</b> ${escapeHtml(item.title || item.id)}`;
+  });
+
+  const message = [
+    "⭐ <b>Saved</b>",
+    "━━━━━━━━━━━━━━━━━━",
+    "",
+    `📌 <b>${items.length} saved</b> (page ${currentPage + 1}/${getSavedPageCount(items.length)})`,
+    "",
+    ...rows,
+    "",
+    "━━━━━━━━━━━━━━━━━━",
+    "👇 Tap a number to open, ✖ to remove"
+  ].join("\n");
+
+  return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
+}
+
+function buildSavedKeyboard(ownerId, items, page = 0) {
+  const currentPage = clampSavedPage(page, items.length);
+  const start = currentPage * SAVED_PAGE_SIZE;
+  const pageItems = items.slice(start, start + SAVED_PAGE_SIZE);
+  const prefix = `${SAVED_CALLBACK_PREFIX}:${ownerId}`;
+
+  const openRow = [];
+  const removeRow = [];
+  pageItems.forEach((item, idx) => {
+    const code = BOOKMARK_TYPES[item.type]?.code;
+    const openData = `${prefix}:open:${code}:${item.id}`;
+    const removeData = `${prefix}:del:${currentPage}:${code}:${item.id}`;
+    if (fitsCallbackData(openData)) {
+      openRow.push({ text: String(start + idx + 1), callback_data: openData });
+    }
+    if (fitsCallbackData(removeData)) {
+      removeRow.push({ text: `✖ ${start + idx + 1}`, callback_data: removeData });
+    }
+  });
+
+  const navRow = [];
+  if (currentPage > 0) {
+    navRow.push({ text: "‹ Prev", callback_data: `${prefix}:page:${currentPage - 1}` });
+  }
+  if (currentPage < getSavedPageCount(items.length) - 1) {
+    navRow.push({ text: "Next ›", callback_data: `${prefix}:page:${currentPage + 1}` });
+  }
+
+  return { inline_keyboard: [openRow, removeRow, navRow].filter((row) => row.length > 0) };
+}
+
+function parseSavedCallbackData(data) {
+  const [prefix, ownerId, action, ...rest] = String(data || "").split(":");
+  if (prefix !== SAVED_CALLBACK_PREFIX || !ownerId) {
+    return null;
+  }
+
+  if (action === "page") {
+    const page = Number.parseInt(rest[0], 10);
+    return Number.isInteger(page) ? { ownerId, action, page } : null;
+  }
+  if (action === "open") {
+    const type = getTypeByCode(rest[0]);
+    const id = rest.slice(1).join(":");
+    return type && id ? { ownerId, action, type, id } : null;
+  }
+  if (action === "del") {
+    const page = Number.parseInt(rest[0], 10);
+    const type = getTypeByCode(rest[1]);
+    const id = rest.slice(2).join(":");
+    return Number.isInteger(page) && type && id ? { ownerId, action, page, type, id } : null;
+  }
+  return null;
+}
+
+module.exports = {
+  BOOKMARK_TYPES,
+  createBookmarkStore,
+  buildSaveKeyboard,
+  parseSaveCallbackData,
+  buildSavedMessage,
+  buildSavedKeyboard,
+  parseSavedCallbackData
+};
@@ -3,14 +3,70 @@ require("dotenv").config();
 const TelegramBot = require("node-telegram-bot-api");
 const { createScheduler } = require("./scheduler");
 const {
-  beginDuaSearch,
-  setDuaSelectionState,
-  getDuaSearchState,
-  clearDuaSearchState,
+  ASR_SCHOOLS,
+  CALCULATION_METHODS,
+  DEFAULT_SALAH_EVENTS,
+  MAX_ADVANCE_MINUTES,
+  SALAH_EVENTS,
+  parseAdvanceMinutes,
+  parseClockTime,
+  resolveAsrSchool,
+  resolveSalahEvent,
+  resolveCalculationMethod,
+  resolveSalahLocation
+} = require("./salah");
+const { getRamadanDay, isRamadanActive } = require("./ramadan");
+const {
+  ANCHORED_DUA_SCHEDULE,
+  DEFAULT_DUA_SCHEDULE,
+  DUA_SCHEDULE_SLOTS,
+  formatDuaTime,
+  isAnchoredTime,
+  parseDuaTime,
+  resolveDuaSlot,
+  resolveTimeZone
+} = require("./duaSchedule");
+const { createConversationManager } = require("./conversation");
+const {
+  createBookmarkStore,
+  buildSaveKeyboard,
+  parseSaveCallbackData,
+  buildSavedMessage,
+  buildSavedKeyboard,
+  parseSavedCallbackData
+} = require("./bookmarks");
+const { buildFollowStatusMessage, createFollowStore, formatTopicList } = require("./follows");
+const { getTopicLabel, resolveTopic } = require("./keywordGenerator");
+const {
+  DUA_SEARCH_FLOW,
+  HADITH_SEARCH_FLOW,
+  createSearchId,
+  clampPage,
   searchDuaMaster,
-  buildDuaResultsMessage
+  searchHadith,
+  parseDuaLookup,
+  findDuaById,
+  findDuasByChapter,
+  findHadithById,
+  buildDuaSnippet,
+  buildDuaResultsMessage,
+  buildDuaResultsKeyboard,
+  buildHadithResultsMessage,
+  buildHadithResultsKeyboard,
+  parseDuaCallbackData,
+  parseHadithCallbackData
 } = require("./search");
-const { formatDuaMessage, getLogLevel, logDebug, logError, logInfo } = require("./utils");
+const {
+  escapeHtml,
+  formatDuaMessage,
+  formatHadithMessage,
+  formatPrayerTimetableMessage,
+  toDuaDisplayModel,
+  getLogLevel,
+  logDebug,
+  logError,
+  logInfo
+} = require("./utils");
 
 const REQUIRED_ENV_KEYS = ["BOT_TOKEN", "SPREADSHEET_ID", "GOOGLE_CREDENTIALS_JSON"];
 for (const key of REQUIRED_ENV_KEYS) {
@@ -28,8 +84,13 @@ const bot = new TelegramBot(process.env.BOT_TOKEN, {
   }
 });
 
-const scheduler = createScheduler(bot);
-scheduler.start();
+const follows = createFollowStore();
+const scheduler = createScheduler(bot, { followStore: follows });
+const conversations = createConversationManager();
+const bookmarks = createBookmarkStore();
+scheduler.start().catch((error) => {
+  logError("Scheduler failed to start", error);
+});
 
 const POLLING_CONFLICT_COOLDOWN_MS = 3 * 60 * 1000;
 let lastPollingConflictLogAt = 0;
@@ -93,18 +154,21 @@ async function sendHtml(chatId, html, options = {}) {
   }
 }
 
-function toDuaDisplayModel(dua) {
-  const source = dua.source || dua.source_ref || dua.reference || "N/A";
-  const authenticity =
-    dua.authenticity ||
-    dua.reference ||
-    (dua.hisnul_number ? `Hisnul Muslim #${dua.hisnul_number}` : "Hisnul Muslim");
-
-  return {
-    ...dua,
-    source,
-    authenticity
-  };
+async function isChatAdmin(msg) {
+  if (msg?.chat?.type === "private") {
+    return true;
+  }
+  const userId = msg?.from?.id;
+  if (!userId) {
+    return false;
+  }
+  try {
+    const member = await bot.getChatMember(msg.chat.id, userId);
+    return member?.status === "creator" || member?.status === "administrator";
+  } catch (error) {
+    logError(`Failed to check admin status in chat ${msg.chat.id}`, error);
+    return false;
+  }
 }
 
 function formatReminderStatus(status) {
@@ -115,6 +179,166 @@ function formatReminderStatus(status) {
   ].join("\n");
 }
 
+function formatLocationLine(location) {
+  const place = location.country ? `${location.label}, ${location.country}` : location.label;
+  return `📍 <b>Salah location:</b> ${escapeHtml(place)} (${escapeHtml(location.timezone)})`;
+}
+
+function formatSalahPreferenceLines(preferences) {
+  const advance =
+    preferences.minutesBefore > 0 ? `${preferences.minutesBefore} min before` : "❌ OFF";
+  return [
+    `🧮 <b>Method:</b> ${escapeHtml(CALCULATION_METHODS[preferences.method].label)}`,
+    `🕰 <b>Asr school:</b> ${escapeHtml(ASR_SCHOOLS[preferences.school].label)}`,
+    `⏰ <b>Advance notice:</b> ${advance}`,
+    `🕌 <b>On-time reminder:</b> ${preferences.onTime ? "✅ ON" : "❌ OFF"}`,
+    `📋 <b>Reminders for:</b> ${formatSalahEventList(preferences)}`
+  ];
+}
+
+function formatSalahEventList(preferences) {
+  if (preferences.events.length === 0) {
+    return "none";
+  }
+  return preferences.events
+    .map((key) => {
+      const label = escapeHtml(SALAH_EVENTS[key].label);
+      if (key === "jumuah") {
+        return `${label} (${escapeHtml(preferences.jumuahTime || "at Dhuhr")})`;
+      }
+      return label;
+    })
+    .join(", ");
+}
+
+function parseSalahEventNames(rawValue) {
+  const names = String(rawValue || "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  const events = [];
+  const unknown = [];
+  for (const name of names) {
+    const event = resolveSalahEvent(name);
+    if (event) {
+      events.push(event);
+    } else {
+      unknown.push(name);
+    }
+  }
+  return { events, unknown };
+}
+
+function buildSalahEventsUsage() {
+  return [
+    "Usage:",
+    "• <code>/salah only fajr isha</code> Remind only for these",
+    "• <code>/salah only all</code> Back to the five daily prayers",
+    "• <code>/salah add sunrise tahajjud</code> | <code>/salah remove asr</code>",
+    "• <code>/salah jumuah 13:30</code> Friday khutbah time (<code>dhuhr</code> to follow Dhuhr)",
+    "",
+    `Names: ${Object.keys(SALAH_EVENTS)
+      .map((key) => `<code>${key}</code>`)
+      .join(", ")}`
+  ].join("\n");
+}
+
+function buildSalahTimingConfirmation(preferences) {
+  const lines = [
+    "✅ <b>Salah reminder settings updated.</b>",
+    "",
+    ...formatSalahPreferenceLines(preferences)
+  ];
+  if (preferences.minutesBefore === 0 && !preferences.onTime) {
+    lines.push("", "⚠️ Both reminders are off, so no salah reminders will be sent.");
+  } else if (preferences.events.length === 0) {
+    lines.push("", "⚠️ No prayers are selected. Use <code>/salah only all</code> to reset.");
+  }
+  return lines.join("\n");
+}
+
+function buildSalahMethodsText(preferences) {
+  const rows = Object.entries(CALCULATION_METHODS).map(
+    ([name, method]) => `• <code>${name}</code> ${escapeHtml(method.label)}`
+  );
+  return [
+    "🧮 <b>Calculation Methods</b>",
+    "━━━━━━━━━━━━━━━━━━",
+    "",
+    ...rows,
+    "",
+    "Usage: <code>/salah method isna</code>",
+    "",
+    ...formatSalahPreferenceLines(preferences)
+  ].join("\n");
+}
+
+function parseCityArgument(rawValue) {
+  const text = String(rawValue || "").trim();
+  const commaIndex = text.lastIndexOf(",");
+  if (commaIndex <= 0) {
+    return null;
+  }
+
+  const city = text.slice(0, commaIndex).trim();
+  const country = text.slice(commaIndex + 1).trim();
+  if (!city || !country) {
+    return null;
+  }
+  return { city, country };
+}
+
+async function applySalahLocation(chatId, input) {
+  try {
+    const location = await resolveSalahLocation(input);
+    const saved = scheduler.setChatLocation(chatId, location);
+    await sendHtml(
+      chatId,
+      [
+        "✅ <b>Salah location updated.</b>",
+        "",
+        formatLocationLine(saved),
+        "",
+        "Reminders will follow local prayer times for this location."
+      ].join("\n")
+    );
+  } catch (error) {
+    logError(`Failed to resolve salah location for chat ${chatId}`, error);
+    await sendHtml(
+      chatId,
+      "Could not find prayer times for that location. Check the spelling and try again, e.g. <code>/setcity Lahore, Pakistan</code>."
+    );
+  }
+}
+
+function formatDuaScheduleLines(chatId) {
+  const schedule = scheduler.getDuaSchedule(chatId);
+  const slots = Object.entries(DUA_SCHEDULE_SLOTS).map(
+    ([key, slot]) => `${slot.label} ${escapeHtml(formatDuaTime(schedule[key]))}`
+  );
+  const zone = schedule.timezone ? "" : " (from location)";
+  return [
+    `🌅 <b>Dua times:</b> ${slots.join(" | ")}`,
+    `🌐 <b>Timezone:</b> ${escapeHtml(scheduler.getDuaTimezone(chatId))}${zone}`
+  ];
+}
+
+function buildDuaScheduleText(chatId) {
+  const schedule = scheduler.getDuaSchedule(chatId);
+  return [
+    "🌅 <b>Dua Reminder Times</b>",
+    "━━━━━━━━━━━━━━━━━━",
+    "",
+    ...formatDuaScheduleLines(chatId),
+    "",
+    "Change with <code>/duas time morning 06:15</code> or <code>/duas time sleep off</code>.",
+    "Follow prayer times with <code>/duas time evening asr+30</code>, or <code>/duas time prayer</code> for Fajr + 20, Asr + 30 and Isha + 60 (<code>/duas time fixed</code> to go back).",
+    "Set the timezone with <code>/timezone Europe/London</code>.",
+    ...(Object.values(schedule).some(isAnchoredTime)
+      ? ["Prayer-based times use your salah location (/setcity)."]
+      : [])
+  ].join("\n");
+}
+
 function buildHelpText() {
   const separator = "━━━━━━━━━━━━━━━━━━";
   const message = [
@@ -131,14 +355,37 @@ function buildHelpText() {
     "",
     "🔎 <b>Dua Search</b>",
     "• <code>/dua</code> Search duas by keyword",
+    "• <code>/dua safar</code> One-shot search | <code>/dua 27_3</code> Exact dua | <code>/dua chapter 27</code> Hisnul Muslim chapter",
+    "• <code>/dua bukhari 6306</code> | <code>/dua hisnul muslim 75</code> | <code>/dua sayyid al-istighfar</code> By source",
+    "• <code>/hsearch sabr</code> | <code>/hadith search bukhari 1</code> Search hadith",
+    "• <code>/saved</code> Your ⭐ saved duas and hadith",
+    "• <code>/follow anxiety rizq</code> | <code>/unfollow all</code> Personal daily dua by topic",
+    "• <code>/back</code> Previous step | <code>/cancel</code> Exit search",
+    "• <code>@TafseerBot keyword</code> Share a dua in any chat (inline mode)",
     separator,
     "",
     "⏰ <b>Reminder Controls</b>",
     "• <code>/duas on</code> | <code>/duas off</code>",
+    "• <code>/duas time morning 06:15</code> | <code>/duas time sleep off</code> Dua times",
+    "• <code>/duas time evening asr+30</code> | <code>/duas time prayer</code> Follow prayer times",
+    "• <code>/timezone Area/City</code> | <code>/timezone auto</code> Timezone for dua times",
     "• <code>/hadith on</code> | <code>/hadith off</code>",
     "• <code>/salah on</code> | <code>/salah off</code>",
     separator,
     "",
+    "📍 <b>Salah Settings</b>",
+    "• <code>/times</code> | <code>/times tomorrow</code> | <code>/times week</code> Prayer timetable",
+    "• <code>/setcity city, country</code> Set city for salah timings",
+    "• Share a location (private chat) to use coordinates",
+    "• <code>/salah method name</code> Calculation method (e.g. isna, mwl, makkah)",
+    "• <code>/salah school hanafi</code> | <code>/salah school shafi</code> Asr time",
+    "• <code>/salah before 15</code> | <code>/salah before off</code> Advance notice",
+    "• <code>/salah ontime on</code> | <code>/salah ontime off</code> Reminder at prayer time",
+    "• <code>/salah only fajr isha</code> | <code>/salah add sunrise</code> Choose prayers",
+    "• <code>/salah jumuah 13:30</code> Friday khutbah reminder",
+    "• <code>/ramadan</code> | <code>/ramadan on|off|auto</code> Ramadan mode (admins)",
+    separator,
+    "",
     "👨‍💻 <b>Developer:</b> Md Saif"
   ].join("\n");
 
@@ -157,7 +404,7 @@ function buildInfoText(chatId) {
     "",
     "🌅 Morning / Evening / Sleep Duas",
     "📜 Nightly Sahih Hadith",
-    "🕌 Delhi Salah Timings",
+    "🕌 Salah Timings for Your City",
     "🎓 Weekend Class Reminder",
     "🔎 Fuzzy Dua Search",
     "📂 Google Docs & Files Updates",
@@ -166,6 +413,9 @@ function buildInfoText(chatId) {
     "📊 <b>Status</b>",
     "",
     formatReminderStatus(status),
+    ...formatDuaScheduleLines(chatId),
+    formatLocationLine(scheduler.getChatLocation(chatId)),
+    ...formatSalahPreferenceLines(scheduler.getSalahPreferences(chatId)),
     "",
     "👨‍💻 <b>Developer:</b> Md Saif"
   ].join("\n");
@@ -180,9 +430,17 @@ async function setBotCommands() {
       { command: "help", description: "List all commands" },
       { command: "info", description: "Bot features and reminder status" },
       { command: "dua", description: "Search dua by keywords" },
+      { command: "cancel", description: "Cancel the current search or step" },
       { command: "duas", description: "Toggle dua reminders (on/off)" },
+      { command: "timezone", description: "Timezone for dua reminder times" },
       { command: "hadith", description: "Toggle hadith reminders (on/off)" },
-      { command: "salah", description: "Toggle salah reminders (on/off)" }
+      { command: "hsearch", description: "Search hadith by keywords or source" },
+      { command: "saved", description: "Your saved duas and hadith" },
+      { command: "follow", description: "Daily dua from topics you follow" },
+      { command: "salah", description: "Salah reminders and settings" },
+      { command: "times", description: "Prayer timetable (today, tomorrow, week)" },
+      { command: "setcity", description: "Set city for salah timings" },
+      { command: "ramadan", description: "Ramadan mode status and toggle" }
     ]);
   } catch (error) {
     logError("Failed to set bot commands", error);
@@ -214,46 +472,420 @@ bot.onText(/^\/info(?:@\w+)?$/i, async (msg) => {
   await sendHtml(msg.chat.id, buildInfoText(msg.chat.id));
 });
 
+function buildDuaSearchPrompt() {
+  return [
+    "🌿 <b>Dua Search Mode</b>",
+    "━━━━━━━━━━━━━━━━━━",
+    "",
+    "🔎 <b>Type any keyword to search.</b>",
+    "",
+    "Examples:",
+    "• sone ki dua",
+    "• safar",
+    "• morning",
+    "• anxiety",
+    "• رزق",
+    "",
+    "You can use:",
+    "English | Urdu | Arabic",
+    "",
+    "❌ Send /cancel to exit"
+  ].join("\n");
+}
+
+const DUA_SEARCH_VIEW = {
+  flow: DUA_SEARCH_FLOW,
+  command: "/dua",
+  bookmarkType: "dua",
+  buildMessage: buildDuaResultsMessage,
+  buildKeyboard: buildDuaResultsKeyboard,
+  formatItem: (dua) => formatDuaMessage(toDuaDisplayModel(dua)),
+  getTitle: (dua) => `${dua.chapter_title_en || dua.category || "Dua"} (${dua.id})`,
+  findById: findDuaById
+};
+const HADITH_SEARCH_VIEW = {
+  flow: HADITH_SEARCH_FLOW,
+  command: "/hsearch",
+  bookmarkType: "hadith",
+  buildMessage: buildHadithResultsMessage,
+  buildKeyboard: buildHadithResultsKeyboard,
+  formatItem: (hadith) =>
+    formatHadithMessage(hadith, {
+      title: "Hadith Search",
+      subtitle: hadith.theme || "Hadith",
+      authenticity: hadith.authenticity || "N/A"
+    }),
+  getTitle: (hadith) => [hadith.theme, hadith.source].filter(Boolean).join(" — ") || hadith.id,
+  findById: findHadithById
+};
+const BOOKMARK_VIEWS = {
+  dua: DUA_SEARCH_VIEW,
+  hadith: HADITH_SEARCH_VIEW
+};
+
+async function sendSearchItem(view, chatId, item) {
+  await sendHtml(chatId, view.formatItem(item), {
+    reply_markup: buildSaveKeyboard(view.bookmarkType, item.id)
+  });
+}
+
+async function presentSearchMatches(view, chatId, userId, matches) {
+  if (matches.length === 1) {
+    conversations.cancel(chatId, userId);
+    await sendSearchItem(view, chatId, matches[0]);
+    return;
+  }
+
+  const data = { searchId: createSearchId(), options: matches, page: 0 };
+  const session = conversations.get(chatId, userId, view.flow);
+  // A new message while results are showing replaces them instead of stacking history.
+  if (session?.stage === "awaiting_selection") {
+    conversations.back(chatId, userId);
+  }
+  if (session && session.stage !== "showing_results") {
+    conversations.advance(chatId, userId, "awaiting_selection", data);
+  } else {
+    conversations.start(chatId, userId, view.flow, "showing_results", data);
+  }
+  await sendHtml(chatId, view.buildMessage(matches), {
+    reply_markup: view.buildKeyboard(data.searchId, matches.length)
+  });
+}
+
+async function runDuaSearchQuery({ chatId, userId, text }) {
+  try {
+    const matches = await searchDuaMaster(text);
+    if (matches.length === 0) {
+      await sendHtml(chatId, "No matching dua found. Try different keywords.");
+      return;
+    }
+    await presentSearchMatches(DUA_SEARCH_VIEW, chatId, userId, matches);
+  } catch (error) {
+    logError("Dua search query handling failed", error);
+    await sendHtml(chatId, "Search failed due to a temporary error. Please try again.");
+  }
+}
+
+conversations.registerFlow(DUA_SEARCH_FLOW, {
+  cancelMessage: "❌ Dua search closed. Send /dua to search again.",
+  stages: {
+    awaiting_query: {
+      onEnter: ({ chatId }) => sendHtml(chatId, buildDuaSearchPrompt()),
+      onMessage: runDuaSearchQuery
+    },
+    awaiting_selection: {
+      onMessage: runDuaSearchQuery
+    },
+    showing_results: {}
+  }
+});
+
 bot.onText(/^\/dua(?:@\w+)?$/i, async (msg) => {
   registerChatFromMessage(msg);
-  beginDuaSearch(msg.chat.id, getSenderId(msg));
+  const userId = getSenderId(msg);
+  conversations.start(msg.chat.id, userId, DUA_SEARCH_FLOW, "awaiting_query");
+  await conversations.enterStage(msg.chat.id, userId);
+});
+
+async function runDuaLookup(chatId, userId, lookup) {
+  if (lookup.type === "id") {
+    const dua = await findDuaById(lookup.duaId);
+    if (!dua) {
+      await sendHtml(
+        chatId,
+        lookup.duaId
+          ? `No dua found with id <b>${escapeHtml(lookup.duaId)}</b>.`
+          : "Usage: <code>/dua id 27_3</code> (chapter_dua)"
+      );
+      return;
+    }
+    await sendSearchItem(DUA_SEARCH_VIEW, chatId, dua);
+    return;
+  }
 
+  const matches = await findDuasByChapter(lookup.chapterId);
+  if (matches.length === 0) {
+    await sendHtml(chatId, `No duas found in chapter <b>${escapeHtml(lookup.chapterId)}</b>.`);
+    return;
+  }
+  await presentSearchMatches(DUA_SEARCH_VIEW, chatId, userId, matches);
+}
+
+bot.onText(/^\/dua(?:@\w+)?\s+(.+)$/is, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const userId = getSenderId(msg);
+  const text = String(match[1]).trim();
+  const lookup = parseDuaLookup(text);
+
+  try {
+    if (lookup) {
+      await runDuaLookup(chatId, userId, lookup);
+      return;
+    }
+    const matches = await searchDuaMaster(text);
+    if (matches.length === 0) {
+      await sendHtml(chatId, "No matching dua found. Try different keywords.");
+      return;
+    }
+    await presentSearchMatches(DUA_SEARCH_VIEW, chatId, userId, matches);
+  } catch (error) {
+    logError(`Dua lookup failed in chat ${chatId}`, error);
+    await sendHtml(chatId, "Search failed due to a temporary error. Please try again.");
+  }
+});
+
+function buildHadithSearchPrompt() {
+  return [
+    "📜 <b>Hadith Search Mode</b>",
+    "━━━━━━━━━━━━━━━━━━",
+    "",
+    "🔎 <b>Type a theme, word or source to search.</b>",
+    "",
+    "Examples:",
+    "• intention",
+    "• sabr",
+    "• bukhari 1",
+    "• رحمة",
+    "",
+    "❌ Send /cancel to exit"
+  ].join("\n");
+}
+
+async function runHadithSearchQuery({ chatId, userId, text }) {
+  try {
+    const matches = await searchHadith(text);
+    if (matches.length === 0) {
+      await sendHtml(chatId, "No matching hadith found. Try different keywords.");
+      return;
+    }
+    await presentSearchMatches(HADITH_SEARCH_VIEW, chatId, userId, matches);
+  } catch (error) {
+    logError("Hadith search query handling failed", error);
+    await sendHtml(chatId, "Search failed due to a temporary error. Please try again.");
+  }
+}
+
+conversations.registerFlow(HADITH_SEARCH_FLOW, {
+  cancelMessage: "❌ Hadith search closed. Send /hsearch to search again.",
+  stages: {
+    awaiting_query: {
+      onEnter: ({ chatId }) => sendHtml(chatId, buildHadithSearchPrompt()),
+      onMessage: runHadithSearchQuery
+    },
+    awaiting_selection: {
+      onMessage: runHadithSearchQuery
+    },
+    showing_results: {}
+  }
+});
+
+bot.onText(/^\/(?:hadith(?:@\w+)?\s+search|hsearch(?:@\w+)?)(?:\s+(.+))?$/is, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const userId = getSenderId(msg);
+  const text = String(match[1] || "").trim();
+
+  if (!text) {
+    conversations.start(chatId, userId, HADITH_SEARCH_FLOW, "awaiting_query");
+    await conversations.enterStage(chatId, userId);
+    return;
+  }
+  await runHadithSearchQuery({ chatId, userId, text });
+});
+
+function parseTopicArgs(text) {
+  const topics = [];
+  const unknown = [];
+  for (const word of String(text || "").split(/[\s,]+/).filter(Boolean)) {
+    const topic = resolveTopic(word);
+    if (topic) {
+      topics.push(topic);
+    } else {
+      unknown.push(word);
+    }
+  }
+  return { topics: [...new Set(topics)], unknown };
+}
+
+function buildUnknownTopicsLine(unknown) {
+  return unknown.length > 0
+    ? `\n⚠️ Unknown topic(s): ${escapeHtml(unknown.join(", "))}. Send /follow to see all topics.`
+    : "";
+}
+
+bot.onText(/^\/follow(?:@\w+)?$/i, async (msg) => {
+  registerChatFromMessage(msg);
+  try {
+    const record = await follows.get(getSenderId(msg));
+    await sendHtml(msg.chat.id, buildFollowStatusMessage(record));
+  } catch (error) {
+    logError(`Failed to load followed topics in chat ${msg.chat.id}`, error);
+    await sendHtml(msg.chat.id, "Could not load your topics. Please try again.");
+  }
+});
+
+bot.onText(/^\/follow(?:@\w+)?\s+time(?:\s+(\S+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const userId = getSenderId(msg);
+  const time = parseClockTime(match[1]);
+  if (!time) {
+    await sendHtml(msg.chat.id, "Use 24-hour time, for example <code>/follow time 08:30</code>.");
+    return;
+  }
+  try {
+    const record = await follows.get(userId);
+    if (record.topics.length === 0) {
+      await sendHtml(
+        msg.chat.id,
+        "Follow a topic first, for example <code>/follow anxiety</code>."
+      );
+      return;
+    }
+    await follows.setTime(userId, time);
+    await sendHtml(msg.chat.id, `⏰ Your daily dua now arrives at <b>${time}</b>.`);
+  } catch (error) {
+    logError(`Failed to update follow time for user ${userId}`, error);
+    await sendHtml(msg.chat.id, "Could not update your topics. Please try again.");
+  }
+});
+
+bot.onText(/^\/follow(?:@\w+)?\s+(?!time\b)(.+)$/is, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const userId = getSenderId(msg);
+  const { topics, unknown } = parseTopicArgs(match[1]);
+  if (topics.length === 0) {
+    await sendHtml(msg.chat.id, `No known topics given.${buildUnknownTopicsLine(unknown)}`);
+    return;
+  }
+  try {
+    const record = await follows.follow(userId, topics);
+    const privateNote =
+      msg.chat.type === "private"
+        ? ""
+        : "\n📩 Daily duas arrive in your private chat with the bot, so start it if you haven't.";
+    await sendHtml(
+      msg.chat.id,
+      [
+        `🔔 Following ${formatTopicList(record.topics)}.`,
+        `You'll get one dua a day at <b>${record.time}</b>, without repeats until the topic runs out.`
+      ].join("\n") +
+        privateNote +
+        buildUnknownTopicsLine(unknown)
+    );
+  } catch (error) {
+    logError(`Failed to follow topics for user ${userId}`, error);
+    await sendHtml(msg.chat.id, "Could not update your topics. Please try again.");
+  }
+});
+
+bot.onText(/^\/unfollow(?:@\w+)?(?:\s+(.+))?$/is, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const userId = getSenderId(msg);
+  const text = String(match[1] || "").trim();
+  if (!text) {
+    await sendHtml(
+      msg.chat.id,
+      "Usage: <code>/unfollow anxiety</code> or <code>/unfollow all</code>"
+    );
+    return;
+  }
+  const { topics, unknown } = /^all$/i.test(text)
+    ? { topics: undefined, unknown: [] }
+    : parseTopicArgs(text);
+  if (topics?.length === 0) {
+    await sendHtml(msg.chat.id, `No known topics given.${buildUnknownTopicsLine(unknown)}`);
+    return;
+  }
+  try {
+    const record = await follows.unfollow(userId, topics);
+    const removed = topics ? topics.map(getTopicLabel).join(", ") : "all topics";
+    await sendHtml(
+      msg.chat.id,
+      (record.topics.length > 0
+        ? `🔕 Unfollowed ${escapeHtml(removed)}. Still following ${formatTopicList(record.topics)}.`
+        : "🔕 You no longer follow any topics.") + buildUnknownTopicsLine(unknown)
+    );
+  } catch (error) {
+    logError(`Failed to unfollow topics for user ${userId}`, error);
+    await sendHtml(msg.chat.id, "Could not update your topics. Please try again.");
+  }
+});
+
+bot.onText(/^\/saved(?:@\w+)?$/i, async (msg) => {
+  registerChatFromMessage(msg);
+  const userId = getSenderId(msg);
+  try {
+    const items = await bookmarks.list(userId);
+    await sendHtml(msg.chat.id, buildSavedMessage(items), {
+      reply_markup: items.length > 0 ? buildSavedKeyboard(userId, items) : undefined
+    });
+  } catch (error) {
+    logError(`Failed to load saved items for user ${userId}`, error);
+    await sendHtml(msg.chat.id, "Could not load your saved items. Please try again.");
+  }
+});
+
+bot.onText(/^\/cancel(?:@\w+)?$/i, async (msg) => {
+  registerChatFromMessage(msg);
+  const session = conversations.cancel(msg.chat.id, getSenderId(msg));
   await sendHtml(
     msg.chat.id,
-    [
-      "🌿 <b>Dua Search Mode</b>",
-      "━━━━━━━━━━━━━━━━━━",
-      "",
-      "🔎 <b>Type any keyword to search.</b>",
-      "",
-      "Examples:",
-      "• sone ki dua",
-      "• safar",
-      "• morning",
-      "• anxiety",
-      "• رزق",
-      "",
-      "You can use:",
-      "English | Urdu | Arabic",
-      "",
-      "❌ Send /cancel to exit"
-    ].join("\n")
+    session ? conversations.getCancelMessage(session) : "Nothing to cancel."
   );
 });
 
+bot.onText(/^\/back(?:@\w+)?$/i, async (msg) => {
+  registerChatFromMessage(msg);
+  const userId = getSenderId(msg);
+  if (!conversations.back(msg.chat.id, userId)) {
+    await sendHtml(msg.chat.id, "Nothing to go back to.");
+    return;
+  }
+  await conversations.enterStage(msg.chat.id, userId);
+});
+
 bot.onText(/^\/duas(?:@\w+)?$/i, async (msg) => {
   registerChatFromMessage(msg);
-  await sendHtml(msg.chat.id, "Usage: /duas on or /duas off");
+  await sendHtml(
+    msg.chat.id,
+    [
+      "Usage:",
+      "• <code>/duas on</code> | <code>/duas off</code>",
+      "• <code>/duas time</code> Show dua reminder times",
+      "• <code>/duas time morning|evening|sleep HH:MM|fajr+20|off|default</code>",
+      "• <code>/duas time prayer</code> | <code>/duas time fixed</code>"
+    ].join("\n")
+  );
 });
 
 bot.onText(/^\/hadith(?:@\w+)?$/i, async (msg) => {
   registerChatFromMessage(msg);
-  await sendHtml(msg.chat.id, "Usage: /hadith on or /hadith off");
+  await sendHtml(
+    msg.chat.id,
+    [
+      "Usage:",
+      "• <code>/hadith on</code> | <code>/hadith off</code>",
+      "• <code>/hadith search text</code> (or <code>/hsearch text</code>) Search hadith"
+    ].join("\n")
+  );
 });
 
 bot.onText(/^\/salah(?:@\w+)?$/i, async (msg) => {
   registerChatFromMessage(msg);
-  await sendHtml(msg.chat.id, "Usage: /salah on or /salah off");
+  await sendHtml(
+    msg.chat.id,
+    [
+      "Usage:",
+      "• <code>/salah on</code> | <code>/salah off</code>",
+      "• <code>/salah method name</code>",
+      "• <code>/salah school hanafi|shafi</code>",
+      "• <code>/salah before minutes|off</code>",
+      "• <code>/salah ontime on|off</code>",
+      "• <code>/salah only|add|remove names</code>",
+      "• <code>/salah jumuah HH:MM|dhuhr</code>"
+    ].join("\n")
+  );
 });
 
 bot.onText(/^\/duas(?:@\w+)?\s+(on|off)$/i, async (msg, match) => {
@@ -267,6 +899,68 @@ bot.onText(/^\/duas(?:@\w+)?\s+(on|off)$/i, async (msg, match) => {
   );
 });
 
+const DUA_SCHEDULE_PRESETS = {
+  prayer: ANCHORED_DUA_SCHEDULE,
+  fixed: {
+    morning: DEFAULT_DUA_SCHEDULE.morning,
+    evening: DEFAULT_DUA_SCHEDULE.evening,
+    sleep: DEFAULT_DUA_SCHEDULE.sleep
+  }
+};
+
+bot.onText(/^\/duas(?:@\w+)?\s+times?(?:\s+(\S+)(?:\s+(.+))?)?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  if (!match[1]) {
+    await sendHtml(chatId, buildDuaScheduleText(chatId));
+    return;
+  }
+
+  const preset = DUA_SCHEDULE_PRESETS[String(match[1]).toLowerCase()];
+  if (preset && !match[2]) {
+    scheduler.setDuaSchedule(chatId, preset);
+    await sendHtml(chatId, buildDuaScheduleText(chatId));
+    return;
+  }
+
+  const slot = resolveDuaSlot(match[1]);
+  const rawTime = String(match[2] || "").toLowerCase();
+  const time = rawTime === "default" ? DUA_SCHEDULE_SLOTS[slot]?.defaultTime : parseDuaTime(rawTime);
+  if (!slot || !time) {
+    await sendHtml(
+      chatId,
+      "Usage: <code>/duas time morning 06:15</code> (morning, evening or sleep; HH:MM, fajr+20, asr+30, isha+60, off or default)"
+    );
+    return;
+  }
+
+  scheduler.setDuaSchedule(chatId, { [slot]: time });
+  await sendHtml(chatId, buildDuaScheduleText(chatId));
+});
+
+bot.onText(/^\/timezone(?:@\w+)?(?:\s+(\S+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const rawValue = String(match[1] || "").trim();
+  if (!rawValue) {
+    await sendHtml(chatId, buildDuaScheduleText(chatId));
+    return;
+  }
+
+  const followLocation = /^(auto|default|location)$/i.test(rawValue);
+  const timezone = followLocation ? "" : resolveTimeZone(rawValue);
+  if (timezone === null) {
+    await sendHtml(
+      chatId,
+      `Unknown timezone: <b>${escapeHtml(rawValue)}</b>. Use an IANA name like <code>Asia/Karachi</code> or <code>auto</code>.`
+    );
+    return;
+  }
+
+  scheduler.setDuaSchedule(chatId, { timezone });
+  await sendHtml(chatId, buildDuaScheduleText(chatId));
+});
+
 bot.onText(/^\/hadith(?:@\w+)?\s+(on|off)$/i, async (msg, match) => {
   registerChatFromMessage(msg);
   const enabled = String(match[1]).toLowerCase() === "on";
@@ -289,6 +983,252 @@ bot.onText(/^\/salah(?:@\w+)?\s+(on|off)$/i, async (msg, match) => {
   );
 });
 
+bot.onText(/^\/salah(?:@\w+)?\s+method(?:\s+(.+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const current = scheduler.getSalahPreferences(chatId);
+  if (!match[1]) {
+    await sendHtml(chatId, buildSalahMethodsText(current));
+    return;
+  }
+
+  const method = resolveCalculationMethod(match[1]);
+  if (!method) {
+    await sendHtml(chatId, `Unknown method.\n\n${buildSalahMethodsText(current)}`);
+    return;
+  }
+
+  const preferences = scheduler.setSalahPreferences(chatId, { method });
+  await sendHtml(
+    chatId,
+    `✅ Calculation method set to <b>${escapeHtml(CALCULATION_METHODS[preferences.method].label)}</b>.`
+  );
+});
+
+bot.onText(/^\/salah(?:@\w+)?\s+school(?:\s+(.+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const school = match[1] ? resolveAsrSchool(match[1]) : null;
+  if (!school) {
+    await sendHtml(
+      chatId,
+      [
+        "Usage: <code>/salah school hanafi</code> or <code>/salah school shafi</code>",
+        "",
+        ...formatSalahPreferenceLines(scheduler.getSalahPreferences(chatId))
+      ].join("\n")
+    );
+    return;
+  }
+
+  const preferences = scheduler.setSalahPreferences(chatId, { school });
+  await sendHtml(
+    chatId,
+    `✅ Asr school set to <b>${escapeHtml(ASR_SCHOOLS[preferences.school].label)}</b>.`
+  );
+});
+
+bot.onText(/^\/salah(?:@\w+)?\s+before(?:\s+(\S+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const rawValue = String(match[1] || "").toLowerCase();
+  const minutesBefore = rawValue === "off" ? 0 : parseAdvanceMinutes(rawValue || "invalid");
+  if (minutesBefore === null) {
+    await sendHtml(
+      chatId,
+      `Usage: <code>/salah before 15</code> (1-${MAX_ADVANCE_MINUTES} minutes) or <code>/salah before off</code>`
+    );
+    return;
+  }
+
+  const preferences = scheduler.setSalahPreferences(chatId, { minutesBefore });
+  await sendHtml(chatId, buildSalahTimingConfirmation(preferences));
+});
+
+bot.onText(/^\/salah(?:@\w+)?\s+ontime(?:\s+(on|off))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  if (!match[1]) {
+    await sendHtml(
+      chatId,
+      "Usage: <code>/salah ontime on</code> or <code>/salah ontime off</code>"
+    );
+    return;
+  }
+
+  const onTime = String(match[1]).toLowerCase() === "on";
+  const preferences = scheduler.setSalahPreferences(chatId, { onTime });
+  await sendHtml(chatId, buildSalahTimingConfirmation(preferences));
+});
+
+bot.onText(/^\/salah(?:@\w+)?\s+(only|add|remove)(?:\s+(.+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const action = String(match[1]).toLowerCase();
+  const rawNames = String(match[2] || "").trim();
+
+  let events;
+  if (action === "only" && /^all$/i.test(rawNames)) {
+    events = [...DEFAULT_SALAH_EVENTS];
+  } else {
+    const parsed = parseSalahEventNames(rawNames);
+    if (parsed.events.length === 0 || parsed.unknown.length > 0) {
+      const unknownLine =
+        parsed.unknown.length > 0
+          ? `Unknown: ${parsed.unknown.map((name) => escapeHtml(name)).join(", ")}\n\n`
+          : "";
+      await sendHtml(chatId, `${unknownLine}${buildSalahEventsUsage()}`);
+      return;
+    }
+
+    const current = scheduler.getSalahPreferences(chatId).events;
+    if (action === "only") {
+      events = parsed.events;
+    } else if (action === "add") {
+      events = [...current, ...parsed.events];
+    } else {
+      events = current.filter((key) => !parsed.events.includes(key));
+    }
+  }
+
+  const preferences = scheduler.setSalahPreferences(chatId, { events });
+  await sendHtml(chatId, buildSalahTimingConfirmation(preferences));
+});
+
+bot.onText(/^\/salah(?:@\w+)?\s+(?:jumu?'?ah|jummah?)(?:\s+(\S+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const rawValue = String(match[1] || "").trim();
+  const followDhuhr = /^dhuhr$/i.test(rawValue);
+  const jumuahTime = followDhuhr ? "" : parseClockTime(rawValue);
+  if (!followDhuhr && !jumuahTime) {
+    await sendHtml(chatId, buildSalahEventsUsage());
+    return;
+  }
+
+  const current = scheduler.getSalahPreferences(chatId).events;
+  const preferences = scheduler.setSalahPreferences(chatId, {
+    jumuahTime,
+    events: [...current, "jumuah"]
+  });
+  await sendHtml(chatId, buildSalahTimingConfirmation(preferences));
+});
+
+const TIMETABLE_VIEWS = {
+  today: { title: "Today's Prayer Times", startOffsetDays: 0, days: 1 },
+  tomorrow: { title: "Tomorrow's Prayer Times", startOffsetDays: 1, days: 1 },
+  week: { title: "Prayer Times This Week", startOffsetDays: 0, days: 7, compact: true }
+};
+
+bot.onText(/^\/times(?:@\w+)?(?:\s+(\S+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  const view = TIMETABLE_VIEWS[String(match[1] || "today").toLowerCase()];
+  if (!view) {
+    await sendHtml(chatId, "Usage: /times, /times tomorrow or /times week");
+    return;
+  }
+
+  try {
+    const timetable = await scheduler.getSalahTimetable(chatId, view);
+    await sendHtml(chatId, formatPrayerTimetableMessage(timetable, view));
+  } catch (error) {
+    logError(`Failed to build prayer timetable for chat ${chatId}`, error);
+    await sendHtml(chatId, "Prayer times are temporarily unavailable. Please try again shortly.");
+  }
+});
+
+const RAMADAN_MODE_LABELS = {
+  auto: "🔄 AUTO (follows the Hijri calendar)",
+  on: "✅ ON",
+  off: "❌ OFF"
+};
+
+async function buildRamadanStatusText(chatId) {
+  const { ramadan } = scheduler.getSalahPreferences(chatId);
+  const lines = [
+    "🌙 <b>Ramadan Mode</b>",
+    "━━━━━━━━━━━━━━━━━━",
+    "",
+    `⚙️ <b>Mode:</b> ${RAMADAN_MODE_LABELS[ramadan]}`
+  ];
+
+  try {
+    const timetable = await scheduler.getSalahTimetable(chatId);
+    const today = timetable.days[0];
+    const active = isRamadanActive(ramadan, today);
+    const ramadanDay = getRamadanDay(today);
+    lines.push(`📅 <b>Today:</b> ${active ? "Ramadan reminders active" : "not Ramadan"}`);
+    if (active && ramadanDay) {
+      lines.push(`🌙 <b>Day ${ramadanDay} of Ramadan</b>`);
+    }
+    if (active) {
+      lines.push(
+        `🍽 <b>Imsak:</b> ${escapeHtml(today.timings.Imsak || today.timings.Fajr)}`,
+        `🌇 <b>Iftar:</b> ${escapeHtml(today.timings.Maghrib)}`
+      );
+    }
+  } catch (error) {
+    logError(`Failed to load Ramadan status for chat ${chatId}`, error);
+  }
+
+  lines.push(
+    "",
+    "Suhoor warnings, Imsak, Iftar (with dua), Taraweeh and last-ten-nights reminders are sent with salah reminders.",
+    "",
+    "Admins: <code>/ramadan on</code> | <code>/ramadan off</code> | <code>/ramadan auto</code>"
+  );
+  return lines.join("\n");
+}
+
+bot.onText(/^\/ramadan(?:@\w+)?(?:\s+(on|off|auto))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const chatId = msg.chat.id;
+  if (!match[1]) {
+    await sendHtml(chatId, await buildRamadanStatusText(chatId));
+    return;
+  }
+
+  if (!(await isChatAdmin(msg))) {
+    await sendHtml(chatId, "Only group admins can change Ramadan mode.");
+    return;
+  }
+
+  scheduler.setSalahPreferences(chatId, { ramadan: String(match[1]).toLowerCase() });
+  await sendHtml(chatId, await buildRamadanStatusText(chatId));
+});
+
+bot.onText(/^\/setcity(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  registerChatFromMessage(msg);
+  const input = parseCityArgument(match[1]);
+  if (!input) {
+    await sendHtml(
+      msg.chat.id,
+      [
+        "Usage: <code>/setcity city, country</code>",
+        "Example: <code>/setcity Lahore, Pakistan</code>",
+        "",
+        formatLocationLine(scheduler.getChatLocation(msg.chat.id))
+      ].join("\n")
+    );
+    return;
+  }
+
+  await applySalahLocation(msg.chat.id, input);
+});
+
+bot.on("location", async (msg) => {
+  registerChatFromMessage(msg);
+  if (msg.chat?.type !== "private" || !msg.location) {
+    return;
+  }
+
+  await applySalahLocation(msg.chat.id, {
+    latitude: msg.location.latitude,
+    longitude: msg.location.longitude
+  });
+});
+
 bot.on("message", async (msg) => {
   registerChatFromMessage(msg);
   if (!msg?.text) {
@@ -300,54 +1240,225 @@ bot.on("message", async (msg) => {
     return;
   }
 
-  const chatId = msg.chat.id;
-  const senderId = getSenderId(msg);
-  const state = getDuaSearchState(chatId, senderId);
-  if (!state) {
+  try {
+    await conversations.handleMessage(msg.chat.id, getSenderId(msg), text, msg);
+  } catch (error) {
+    logError(`Conversation step failed in chat ${msg.chat.id}`, error);
+  }
+});
+
+async function answerCallback(query, text, showAlert = false) {
+  try {
+    await bot.answerCallbackQuery(query.id, text ? { text, show_alert: showAlert } : {});
+  } catch (error) {
+    logError("Failed to answer callback query", error);
+  }
+}
+
+async function handleSearchCallback(query, action, view) {
+  const chatId = query.message?.chat?.id;
+  const session = conversations.get(chatId, query.from?.id, view.flow);
+  const selection =
+    session?.data.searchId === action.searchId ? conversations.touch(session).data : null;
+  if (!selection) {
+    await answerCallback(
+      query,
+      `⌛ This search has expired. Send ${view.command} to search again.`,
+      true
+    );
     return;
   }
 
-  if (state.stage === "awaiting_query") {
+  if (action.action === "page") {
+    const page = clampPage(action.value, selection.options.length);
+    selection.page = page;
     try {
-      const matches = await searchDuaMaster(text, { limit: 3 });
-
-      if (matches.length === 0) {
-        await sendHtml(chatId, "No matching dua found. Try different keywords.");
-        return;
-      }
+      await bot.editMessageText(view.buildMessage(selection.options, page), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        reply_markup: view.buildKeyboard(selection.searchId, selection.options.length, page)
+      });
+    } catch (error) {
+      logError(`Failed to update search results in chat ${chatId}`, error);
+    }
+    await answerCallback(query);
+    return;
+  }
 
-      if (matches.length === 1) {
-        clearDuaSearchState(chatId, senderId);
-        await sendHtml(chatId, formatDuaMessage(toDuaDisplayModel(matches[0])));
-        return;
-      }
+  const selected = selection.options[action.value];
+  if (!selected) {
+    await answerCallback(
+      query,
+      `That result is no longer available. Send ${view.command} to search again.`
+    );
+    return;
+  }
+  await answerCallback(query);
+  await sendSearchItem(view, chatId, selected);
+}
 
-      const topOptions = matches.slice(0, 3);
-      setDuaSelectionState(chatId, senderId, topOptions);
-      await sendHtml(chatId, buildDuaResultsMessage(topOptions));
-      return;
-    } catch (error) {
-      logError("Dua search query handling failed", error);
-      await sendHtml(chatId, "Search failed due to a temporary error. Please try again.");
+async function handleSaveCallback(query, action) {
+  const view = BOOKMARK_VIEWS[action.type];
+  try {
+    const item = await view.findById(action.id);
+    if (!item) {
+      await answerCallback(query, `This ${action.type} is no longer available.`, true);
       return;
     }
+    const result = await bookmarks.add(query.from.id, {
+      type: action.type,
+      id: action.id,
+      title: view.getTitle(item)
+    });
+    if (result.added) {
+      await answerCallback(query, "⭐ Saved. Send /saved to see your bookmarks.");
+    } else if (result.reason === "full") {
+      await answerCallback(query, "Your saved list is full. Remove some with /saved first.", true);
+    } else {
+      await answerCallback(query, "Already in /saved.");
+    }
+  } catch (error) {
+    logError(`Failed to save ${action.type} ${action.id} for user ${query.from?.id}`, error);
+    await answerCallback(query, "Could not save right now. Please try again.", true);
+  }
+}
+
+async function editSavedList(query, userId, page) {
+  const items = await bookmarks.list(userId);
+  try {
+    await bot.editMessageText(buildSavedMessage(items, page), {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      reply_markup: buildSavedKeyboard(userId, items, page)
+    });
+  } catch (error) {
+    logError(`Failed to update saved list in chat ${query.message.chat.id}`, error);
+  }
+}
+
+async function handleSavedCallback(query, action) {
+  const userId = query.from?.id;
+  if (String(userId) !== action.ownerId) {
+    await answerCallback(
+      query,
+      "These bookmarks belong to someone else. Send /saved to see yours.",
+      true
+    );
+    return;
   }
 
-  if (state.stage === "awaiting_selection") {
-    const selectedNumber = Number.parseInt(text, 10);
-    if (!Number.isInteger(selectedNumber) || selectedNumber < 1 || selectedNumber > 3) {
-      await sendHtml(chatId, "Please send a valid number (1, 2, or 3), or use /dua to restart.");
+  try {
+    if (action.action === "page") {
+      await answerCallback(query);
+      await editSavedList(query, userId, action.page);
+      return;
+    }
+
+    if (action.action === "del") {
+      await bookmarks.remove(userId, action.type, action.id);
+      await answerCallback(query, "Removed from saved.");
+      await editSavedList(query, userId, action.page);
       return;
     }
 
-    const selected = state.options[selectedNumber - 1];
-    if (!selected) {
-      await sendHtml(chatId, "Invalid selection. Use /dua to start a new search.");
+    const view = BOOKMARK_VIEWS[action.type];
+    const item = await view.findById(action.id);
+    if (!item) {
+      await answerCallback(
+        query,
+        `This ${action.type} is no longer available. Tap ✖ to remove it.`,
+        true
+      );
       return;
     }
+    await answerCallback(query);
+    await sendSearchItem(view, query.message.chat.id, item);
+  } catch (error) {
+    logError(`Saved list action failed for user ${userId}`, error);
+    await answerCallback(query, "Something went wrong. Please try again.", true);
+  }
+}
+
+bot.on("callback_query", async (query) => {
+  if (query.message?.chat?.id) {
+    registerChatFromMessage(query.message);
+  }
+
+  const duaAction = parseDuaCallbackData(query.data);
+  if (duaAction) {
+    await handleSearchCallback(query, duaAction, DUA_SEARCH_VIEW);
+    return;
+  }
+
+  const hadithAction = parseHadithCallbackData(query.data);
+  if (hadithAction) {
+    await handleSearchCallback(query, hadithAction, HADITH_SEARCH_VIEW);
+    return;
+  }
+
+  const saveAction = parseSaveCallbackData(query.data);
+  if (saveAction && query.from?.id) {
+    await handleSaveCallback(query, saveAction);
+    return;
+  }
+
+  const savedAction = parseSavedCallbackData(query.data);
+  if (savedAction && query.message?.chat?.id) {
+    await handleSavedCallback(query, savedAction);
+    return;
+  }
+
+  await answerCallback(query);
+});
+
+const INLINE_RESULTS_PAGE_SIZE = 20;
+const INLINE_CACHE_SECONDS = 300;
+
+function toInlineDuaResult(dua, index) {
+  const model = toDuaDisplayModel(dua);
+  return {
+    type: "article",
+    id: String(dua.id || `dua-${index}`).slice(0, 64),
+    title: dua.chapter_title_en || dua.category || "Dua",
+    description: buildDuaSnippet(dua, 120),
+    input_message_content: {
+      message_text: formatDuaMessage(model),
+      parse_mode: "HTML",
+      disable_web_page_preview: true
+    }
+  };
+}
+
+bot.on("inline_query", async (query) => {
+  const text = String(query.query || "").trim();
+  const offset = Math.max(0, Number.parseInt(query.offset, 10) || 0);
+  let results = [];
+  let nextOffset = "";
 
-    clearDuaSearchState(chatId, senderId);
-    await sendHtml(chatId, formatDuaMessage(toDuaDisplayModel(selected)));
+  if (text) {
+    try {
+      const matches = await searchDuaMaster(text);
+      const page = matches.slice(offset, offset + INLINE_RESULTS_PAGE_SIZE);
+      results = page.map((dua, idx) => toInlineDuaResult(dua, offset + idx));
+      if (offset + INLINE_RESULTS_PAGE_SIZE < matches.length) {
+        nextOffset = String(offset + INLINE_RESULTS_PAGE_SIZE);
+      }
+    } catch (error) {
+      logError("Inline dua search failed", error);
+    }
+  }
+
+  try {
+    await bot.answerInlineQuery(query.id, results, {
+      cache_time: INLINE_CACHE_SECONDS,
+      next_offset: nextOffset
+    });
+  } catch (error) {
+    logError("Failed to answer inline query", error);
   }
 });
 
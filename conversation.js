@@ -0,0 +1,132 @@
+const DEFAULT_CONVERSATION_TTL_MS = 15 * 60 * 1000;
+
+class ConversationManager {
+  constructor({ ttlMs = DEFAULT_CONVERSATION_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.flows = new Map();
+    this.sessions = new Map();
+  }
+
+  registerFlow(name, definition = {}) {
+    this.flows.set(name, {
+      ttlMs: this.ttlMs,
+      cancelMessage: "❌ Cancelled.",
+      ...definition,
+      stages: definition.stages || {}
+    });
+  }
+
+  makeKey(chatId, userId) {
+    return `${chatId}:${userId || chatId}`;
+  }
+
+  isExpired(session) {
+    const ttlMs = this.flows.get(session.flow)?.ttlMs || this.ttlMs;
+    return Date.now() - session.updatedAt > ttlMs;
+  }
+
+  pruneExpired() {
+    for (const [key, session] of this.sessions.entries()) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  start(chatId, userId, flow, stage, data = {}) {
+    if (!this.flows.has(flow)) {
+      throw new Error(`Unknown conversation flow: ${flow}`);
+    }
+    this.pruneExpired();
+    const session = { flow, stage, data: { ...data }, history: [], updatedAt: Date.now() };
+    this.sessions.set(this.makeKey(chatId, userId), session);
+    return session;
+  }
+
+  get(chatId, userId, flow) {
+    const key = this.makeKey(chatId, userId);
+    const session = this.sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    if (this.isExpired(session)) {
+      this.sessions.delete(key);
+      return null;
+    }
+    if (flow && session.flow !== flow) {
+      return null;
+    }
+    return session;
+  }
+
+  touch(session) {
+    session.updatedAt = Date.now();
+    return session;
+  }
+
+  advance(chatId, userId, stage, data = {}) {
+    const session = this.get(chatId, userId);
+    if (!session) {
+      return null;
+    }
+    session.history.push({ stage: session.stage, data: session.data });
+    session.stage = stage;
+    session.data = { ...data };
+    return this.touch(session);
+  }
+
+  back(chatId, userId) {
+    const session = this.get(chatId, userId);
+    if (!session || session.history.length === 0) {
+      return null;
+    }
+    const previous = session.history.pop();
+    session.stage = previous.stage;
+    session.data = previous.data;
+    return this.touch(session);
+  }
+
+  cancel(chatId, userId) {
+    const session = this.get(chatId, userId);
+    this.sessions.delete(this.makeKey(chatId, userId));
+    return session;
+  }
+
+  getCancelMessage(session) {
+    return this.flows.get(session?.flow)?.cancelMessage || "❌ Cancelled.";
+  }
+
+  getStage(session) {
+    return this.flows.get(session.flow)?.stages[session.stage] || null;
+  }
+
+  async enterStage(chatId, userId) {
+    const session = this.get(chatId, userId);
+    const stage = session ? this.getStage(session) : null;
+    if (!stage?.onEnter) {
+      return false;
+    }
+    await stage.onEnter({ chatId, userId, session, conversations: this });
+    return true;
+  }
+
+  async handleMessage(chatId, userId, text, msg) {
+    const session = this.get(chatId, userId);
+    const stage = session ? this.getStage(session) : null;
+    if (!stage?.onMessage) {
+      return false;
+    }
+    this.touch(session);
+    await stage.onMessage({ chatId, userId, text, msg, session, conversations: this });
+    return true;
+  }
+}
+
+function createConversationManager(options) {
+  return new ConversationManager(options);
+}
+
+module.exports = {
+  DEFAULT_CONVERSATION_TTL_MS,
+  createConversationManager
+};
@@ -1,6 +1,5 @@
 const cron = require("node-cron");
-const { google } = require("googleapis");
-const { getGoogleAuth } = require("./googleAuth");
+const { getDriveClient } = require("./googleClient");
 const {
   DEFAULT_TIMEZONE,
   formatDateTimeInTimeZone,
@@ -19,8 +18,6 @@ const DRIVE_EVENT_TYPES = Object.freeze({
   FOLDER_DELETED: 5
 });
 
-let driveClientPromise;
-
 function escapeMarkdown(value) {
   return String(value ?? "")
     .replace(/\\/g, "\\\\")
@@ -126,20 +123,6 @@ function generateDriveEventMessage(eventType, data = {}) {
   throw new Error(`Unsupported drive event type: ${eventType}`);
 }
 
-async function getDriveClient() {
-  if (!driveClientPromise) {
-    driveClientPromise = (async () => {
-      const auth = getGoogleAuth();
-      const authClient = await auth.getClient();
-      return google.drive({
-        version: "v3",
-        auth: authClient
-      });
-    })();
-  }
-  return driveClientPromise;
-}
-
 class DriveMonitor {
   constructor({ bot, getTargetChatIds, timezone = DEFAULT_TIMEZONE, folderId = DEFAULT_FOLDER_ID }) {
     this.bot = bot;
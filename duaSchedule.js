@@ -0,0 +1,144 @@
+const { parseClockTime } = require("./salah");
+const { toMinutes } = require("./utils");
+
+const DUA_SCHEDULE_SLOTS = Object.freeze({
+  morning: { category: "Morning", label: "Morning", defaultTime: "07:00" },
+  evening: { category: "Evening", label: "Evening", defaultTime: "18:30" },
+  sleep: { category: "Sleep", label: "Sleep", defaultTime: "22:30" }
+});
+const SLOT_ALIASES = Object.freeze({
+  subah: "morning",
+  sabah: "morning",
+  fajr: "morning",
+  shaam: "evening",
+  sham: "evening",
+  night: "sleep",
+  raat: "sleep",
+  bedtime: "sleep"
+});
+const DEFAULT_DUA_SCHEDULE = Object.freeze({
+  morning: DUA_SCHEDULE_SLOTS.morning.defaultTime,
+  evening: DUA_SCHEDULE_SLOTS.evening.defaultTime,
+  sleep: DUA_SCHEDULE_SLOTS.sleep.defaultTime,
+  timezone: ""
+});
+const DISABLED_SLOT = "off";
+const DUA_TIME_ANCHORS = Object.freeze({
+  fajr: "Fajr",
+  sunrise: "Sunrise",
+  dhuhr: "Dhuhr",
+  asr: "Asr",
+  maghrib: "Maghrib",
+  isha: "Isha"
+});
+const MAX_ANCHOR_OFFSET_MINUTES = 180;
+const ANCHORED_DUA_SCHEDULE = Object.freeze({
+  morning: "fajr+20",
+  evening: "asr+30",
+  sleep: "isha+60"
+});
+
+function resolveDuaSlot(value) {
+  const key = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (DUA_SCHEDULE_SLOTS[key]) {
+    return key;
+  }
+  return SLOT_ALIASES[key] || null;
+}
+
+function resolveTimeZone(value) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return null;
+  }
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: text }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseAnchoredTime(value) {
+  const match = String(value || "")
+    .replace(/\s+/g, "")
+    .toLowerCase()
+    .match(/^([a-z]+)(?:([+-])(\d{1,3})(?:m|min|mins|minutes)?)?$/);
+  if (!match || !DUA_TIME_ANCHORS[match[1]]) {
+    return null;
+  }
+  const offset = Number(match[3] || 0) * (match[2] === "-" ? -1 : 1);
+  if (Math.abs(offset) > MAX_ANCHOR_OFFSET_MINUTES) {
+    return null;
+  }
+  return { anchor: match[1], offset };
+}
+
+function isAnchoredTime(value) {
+  return parseAnchoredTime(value) !== null;
+}
+
+function parseDuaTime(value) {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (text === DISABLED_SLOT) {
+    return DISABLED_SLOT;
+  }
+  const anchored = parseAnchoredTime(text);
+  if (anchored) {
+    const sign = anchored.offset < 0 ? "-" : "+";
+    return `${anchored.anchor}${sign}${Math.abs(anchored.offset)}`;
+  }
+  return parseClockTime(text);
+}
+
+function formatDuaTime(value) {
+  const anchored = parseAnchoredTime(value);
+  if (!anchored) {
+    return value === DISABLED_SLOT ? "off" : value;
+  }
+  const label = DUA_TIME_ANCHORS[anchored.anchor];
+  if (anchored.offset === 0) {
+    return `at ${label}`;
+  }
+  const sign = anchored.offset < 0 ? "-" : "+";
+  return `${label} ${sign} ${Math.abs(anchored.offset)} min`;
+}
+
+function resolveDuaTimeMinutes(value, timings = {}) {
+  const anchored = parseAnchoredTime(value);
+  if (!anchored) {
+    return toMinutes(value);
+  }
+  const anchorMinutes = toMinutes(timings[DUA_TIME_ANCHORS[anchored.anchor]]);
+  if (anchorMinutes === null) {
+    return null;
+  }
+  return Math.min(1439, Math.max(0, anchorMinutes + anchored.offset));
+}
+
+function normalizeDuaSchedule(schedule = {}) {
+  const normalized = { ...DEFAULT_DUA_SCHEDULE };
+  for (const key of Object.keys(DUA_SCHEDULE_SLOTS)) {
+    normalized[key] = parseDuaTime(schedule[key]) || DEFAULT_DUA_SCHEDULE[key];
+  }
+  normalized.timezone = resolveTimeZone(schedule.timezone) || "";
+  return normalized;
+}
+
+module.exports = {
+  ANCHORED_DUA_SCHEDULE,
+  DEFAULT_DUA_SCHEDULE,
+  DISABLED_SLOT,
+  DUA_SCHEDULE_SLOTS,
+  DUA_TIME_ANCHORS,
+  formatDuaTime,
+  isAnchoredTime,
+  normalizeDuaSchedule,
+  parseDuaTime,
+  resolveDuaTimeMinutes,
+  resolveDuaSlot,
+  resolveTimeZone
+};
@@ -0,0 +1,185 @@
+const { createStore } = require("./store");
+const { getLocalDateParts, nowIso, toMinutes } = require("./utils");
+const { parseClockTime } = require("./salah");
+const { TOPIC_ORDER, getTopicLabel, matchesTopic } = require("./keywordGenerator");
+
+const DEFAULT_FOLLOW_TIME = "09:00";
+
+function normalizeFollowRecord(record = {}) {
+  const topics = Array.isArray(record.topics)
+    ? TOPIC_ORDER.filter((topic) => record.topics.includes(topic))
+    : [];
+  return {
+    topics,
+    time: parseClockTime(record.time) || DEFAULT_FOLLOW_TIME,
+    sentIds: Array.isArray(record.sentIds) ? record.sentIds.map(String) : [],
+    lastSentDate: String(record.lastSentDate || ""),
+    since: String(record.since || "")
+  };
+}
+
+class FollowStore {
+  constructor({ store = createStore("follows") } = {}) {
+    this.store = store;
+    this.loadPromise = null;
+  }
+
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store.load().catch((error) => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async get(userId) {
+    const records = await this.load();
+    return normalizeFollowRecord(records.get(String(userId)));
+  }
+
+  async entries() {
+    const records = await this.load();
+    return [...records.entries()].map(([userId, record]) => [
+      userId,
+      normalizeFollowRecord(record)
+    ]);
+  }
+
+  async update(userId, change) {
+    const records = await this.load();
+    const key = String(userId);
+    const next = normalizeFollowRecord(change(normalizeFollowRecord(records.get(key))));
+    if (next.topics.length === 0) {
+      records.delete(key);
+      await this.store.delete(key);
+    } else {
+      records.set(key, next);
+      await this.store.set(key, next);
+    }
+    return next;
+  }
+
+  follow(userId, topics) {
+    return this.update(userId, (record) => ({
+      ...record,
+      topics: [...record.topics, ...topics],
+      since: record.topics.length > 0 ? record.since : nowIso()
+    }));
+  }
+
+  unfollow(userId, topics = TOPIC_ORDER) {
+    return this.update(userId, (record) => ({
+      ...record,
+      topics: record.topics.filter((topic) => !topics.includes(topic))
+    }));
+  }
+
+  setTime(userId, time) {
+    return this.update(userId, (record) => ({ ...record, time }));
+  }
+
+  async forget(userId) {
+    const records = await this.load();
+    records.delete(String(userId));
+    await this.store.delete(String(userId));
+  }
+
+  // dateKeys maps each due user to their local date; pick(record) returns { dua, sentIds } or null.
+  // Users whose stored record already shows that date were served by another run and are skipped.
+  async recordDailyPicks(dateKeys, pick) {
+    const records = await this.load();
+    const picked = new Map();
+    const values = await this.store.updateMany([...dateKeys.keys()], (stored, userId) => {
+      const record = normalizeFollowRecord(stored);
+      const dateKey = dateKeys.get(userId);
+      const result =
+        stored && record.topics.length > 0 && record.lastSentDate !== dateKey ? pick(record) : null;
+      if (!result) {
+        picked.delete(userId);
+        return undefined;
+      }
+      picked.set(userId, result.dua);
+      return { ...record, sentIds: result.sentIds, lastSentDate: dateKey };
+    });
+    for (const [userId, value] of values) {
+      if (value !== undefined) {
+        records.set(userId, value);
+      }
+    }
+    return picked;
+  }
+}
+
+function createFollowStore(options) {
+  return new FollowStore(options);
+}
+
+function getFollowedPool(rows, topics) {
+  return rows.filter((dua) => dua.id && topics.some((topic) => matchesTopic(dua.tags, topic)));
+}
+
+function pickFollowedDua(rows, record, random = Math.random) {
+  const pool = getFollowedPool(rows, record.topics);
+  if (pool.length === 0) {
+    return null;
+  }
+
+  const sent = new Set(record.sentIds);
+  let candidates = pool.filter((dua) => !sent.has(String(dua.id)));
+  let sentIds = record.sentIds;
+  // Once every dua for the followed topics has been sent, the rotation starts over.
+  if (candidates.length === 0) {
+    candidates = pool;
+    sentIds = [];
+  }
+
+  const dua = candidates[Math.floor(random() * candidates.length)];
+  return { dua, sentIds: [...sentIds, String(dua.id)] };
+}
+
+// A dua missed while the bot was offline still goes out later that day, but a follow started
+// after the day's time waits for the next day.
+function isFollowDue(record, date, timezone) {
+  const now = getLocalDateParts(date, timezone);
+  const dueMinutes = toMinutes(record.time);
+  if (record.lastSentDate === now.dateKey || toMinutes(now.timeKey) < dueMinutes) {
+    return false;
+  }
+  const since = record.since ? getLocalDateParts(new Date(record.since), timezone) : null;
+  return !(since?.dateKey === now.dateKey && toMinutes(since.timeKey) >= dueMinutes);
+}
+
+function formatTopicList(topics) {
+  return topics.map((topic) => `<code>${getTopicLabel(topic)}</code>`).join(", ");
+}
+
+function buildFollowStatusMessage(record) {
+  const lines = ["🔔 <b>Followed Dua Topics</b>", "━━━━━━━━━━━━━━━━━━", ""];
+  if (record.topics.length === 0) {
+    lines.push("You don't follow any topics yet.");
+  } else {
+    lines.push(`📌 ${formatTopicList(record.topics)}`);
+    lines.push(`⏰ Daily dua at <b>${record.time}</b> (your /timezone)`);
+  }
+  lines.push(
+    "",
+    `Topics: ${formatTopicList(TOPIC_ORDER)}`,
+    "",
+    "• <code>/follow anxiety rizq</code> Follow topics",
+    "• <code>/unfollow anxiety</code> | <code>/unfollow all</code>",
+    "• <code>/follow time 08:30</code> Daily dua time"
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_FOLLOW_TIME,
+  createFollowStore,
+  getFollowedPool,
+  isFollowDue,
+  pickFollowedDua,
+  formatTopicList,
+  buildFollowStatusMessage
+};
@@ -0,0 +1,249 @@
+const { google } = require("googleapis");
+const { getGoogleAuth } = require("./googleAuth");
+const { logDebug, logError } = require("./utils");
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30 * 1000;
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+const QUOTA_WINDOW_MS = 60 * 1000;
+// Requests per minute per service account, kept under Google's default per-user quotas.
+const QUOTA_PER_MINUTE = {
+  sheets: { read: 55, write: 55 },
+  drive: { read: 900, write: 900 }
+};
+const BREAKER_FAILURE_THRESHOLD = 3;
+const BREAKER_OPEN_MS = 60 * 1000;
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "EPIPE"
+]);
+// These fail before the request leaves the machine, so even a non-repeatable write is safe.
+const UNSENT_ERROR_CODES = new Set(["ECONNREFUSED", "EAI_AGAIN", "ENOTFOUND"]);
+// Methods are named by their full path; anything not listed counts as a write.
+const READ_METHODS = new Set([
+  "sheets.spreadsheets.get",
+  "sheets.spreadsheets.getByDataFilter",
+  "sheets.spreadsheets.values.get",
+  "sheets.spreadsheets.values.batchGet",
+  "sheets.spreadsheets.values.batchGetByDataFilter",
+  "drive.about.get",
+  "drive.changes.getStartPageToken",
+  "drive.changes.list",
+  "drive.files.get",
+  "drive.files.export",
+  "drive.files.list",
+  "drive.permissions.get",
+  "drive.permissions.list",
+  "drive.revisions.get",
+  "drive.revisions.list"
+]);
+// Writes that overwrite fixed cells can be sent twice; anything else may already have been
+// applied when a 5xx or timeout comes back, so only the caller can tell what to do next.
+const REPEATABLE_WRITES = new Set([
+  "sheets.spreadsheets.values.update",
+  "sheets.spreadsheets.values.batchUpdate",
+  "sheets.spreadsheets.values.clear"
+]);
+const UNAVAILABLE_ERROR_CODE = "GOOGLE_UNAVAILABLE";
+
+const quotaWindows = new Map();
+const breakers = new Map();
+let sheetsClientPromise;
+let driveClientPromise;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getStatusCode(error) {
+  const status = Number(error?.response?.status || error?.status || error?.code);
+  return Number.isInteger(status) ? status : null;
+}
+
+function isRetryableError(error) {
+  const status = getStatusCode(error);
+  return status ? RETRYABLE_STATUS_CODES.has(status) : RETRYABLE_ERROR_CODES.has(error?.code);
+}
+
+function parseRetryAfterMs(error, now = Date.now()) {
+  const headers = error?.response?.headers || {};
+  const value =
+    typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function getBackoffDelayMs(attempt, retryAfterMs = null, random = Math.random) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jittered = Math.round(random() * ceiling);
+  return retryAfterMs === null ? jittered : Math.max(retryAfterMs, jittered);
+}
+
+function getQuotaUsage(bucket, now = Date.now()) {
+  const window = (quotaWindows.get(bucket) || []).filter((time) => now - time < QUOTA_WINDOW_MS);
+  quotaWindows.set(bucket, window);
+  return window;
+}
+
+// Waits for a free slot in the sliding one-minute window instead of letting Google answer 429.
+async function acquireQuota(api, kind) {
+  const bucket = `${api}:${kind}`;
+  const limit = QUOTA_PER_MINUTE[api]?.[kind] || Infinity;
+  for (;;) {
+    const now = Date.now();
+    const window = getQuotaUsage(bucket, now);
+    if (window.length < limit) {
+      window.push(now);
+      return;
+    }
+    const waitMs = window[0] + QUOTA_WINDOW_MS - now;
+    logDebug(`Google ${bucket} quota reached; waiting ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+}
+
+function getBreaker(api) {
+  if (!breakers.has(api)) {
+    breakers.set(api, { failures: 0, openUntil: 0 });
+  }
+  return breakers.get(api);
+}
+
+function isGoogleUnavailable(error) {
+  return error?.code === UNAVAILABLE_ERROR_CODE;
+}
+
+function checkBreaker(api) {
+  const breaker = getBreaker(api);
+  if (Date.now() < breaker.openUntil) {
+    const error = new Error(`Google ${api} is unavailable; retrying after the breaker cools down.`);
+    error.code = UNAVAILABLE_ERROR_CODE;
+    throw error;
+  }
+}
+
+function recordOutcome(api, error) {
+  const breaker = getBreaker(api);
+  if (!error) {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    return;
+  }
+  breaker.failures += 1;
+  // Once tripped, a failed trial request after the cool-down opens the breaker again.
+  if (breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_OPEN_MS;
+    logError(`Google ${api} failed ${breaker.failures} times in a row; pausing requests`, error);
+  }
+}
+
+function isSafeToRetry(error, method, kind) {
+  if (!isRetryableError(error)) {
+    return false;
+  }
+  return (
+    kind === "read" ||
+    REPEATABLE_WRITES.has(method) ||
+    getStatusCode(error) === 429 ||
+    UNSENT_ERROR_CODES.has(error?.code)
+  );
+}
+
+function getMethodKind(method) {
+  return READ_METHODS.has(method) ? "read" : "write";
+}
+
+// method is the full path of the call, e.g. "sheets.spreadsheets.values.get".
+async function requestWithRetry(api, method, send) {
+  checkBreaker(api);
+  const kind = getMethodKind(method);
+  for (let attempt = 1; ; attempt += 1) {
+    await acquireQuota(api, kind);
+    try {
+      const response = await send();
+      recordOutcome(api, null);
+      return response;
+    } catch (error) {
+      const retryAfterMs = parseRetryAfterMs(error);
+      const canRetry =
+        attempt < MAX_ATTEMPTS &&
+        isSafeToRetry(error, method, kind) &&
+        (retryAfterMs === null || retryAfterMs <= MAX_RETRY_AFTER_MS);
+      if (!canRetry) {
+        if (isRetryableError(error)) {
+          recordOutcome(api, error);
+        }
+        throw error;
+      }
+      const delayMs = getBackoffDelayMs(attempt, retryAfterMs);
+      const reason = getStatusCode(error) || error.code;
+      logDebug(`Google ${method} failed (${reason}); retrying in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Every method call on the client, however deeply nested (sheets.spreadsheets.values.get), goes
+// through requestWithRetry; the googleapis objects themselves are left untouched.
+function wrapClient(api, target, path = [api]) {
+  return new Proxy(target, {
+    get(object, property) {
+      const value = object[property];
+      const method = [...path, String(property)].join(".");
+      if (typeof value === "function") {
+        return (...args) => requestWithRetry(api, method, () => value.apply(object, args));
+      }
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        return wrapClient(api, value, [...path, String(property)]);
+      }
+      return value;
+    }
+  });
+}
+
+async function createClient(api, factory) {
+  const auth = getGoogleAuth();
+  const authClient = await auth.getClient();
+  return wrapClient(api, factory(authClient));
+}
+
+function getSheetsClient() {
+  if (!sheetsClientPromise) {
+    sheetsClientPromise = createClient("sheets", (auth) => google.sheets({ version: "v4", auth }));
+    sheetsClientPromise.catch(() => {
+      sheetsClientPromise = null;
+    });
+  }
+  return sheetsClientPromise;
+}
+
+function getDriveClient() {
+  if (!driveClientPromise) {
+    driveClientPromise = createClient("drive", (auth) => google.drive({ version: "v3", auth }));
+    driveClientPromise.catch(() => {
+      driveClientPromise = null;
+    });
+  }
+  return driveClientPromise;
+}
+
+module.exports = {
+  getSheetsClient,
+  getDriveClient,
+  getMethodKind,
+  isGoogleUnavailable,
+  wrapClient
+};
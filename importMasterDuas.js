@@ -1,9 +1,8 @@
 require("dotenv").config();
 
 const axios = require("axios");
-const { google } = require("googleapis");
-const { getGoogleAuth } = require("./googleAuth");
-const { normalizeText, logError, logInfo } = require("./utils");
+const { getSheetsClient } = require("./googleClient");
+const { normalizeSearchText, normalizeText, logError, logInfo } = require("./utils");
 const { inferCategory, generateKeywordBundle } = require("./keywordGenerator");
 
 const CHAPTERS_URL = "http://www.hisnmuslim.com/api/en/husn_en.json";
@@ -68,15 +67,6 @@ async function fetchJson(url) {
   return JSON.parse(text);
 }
 
-async function getSheetsService() {
-  const auth = getGoogleAuth();
-  const authClient = await auth.getClient();
-  return google.sheets({
-    version: "v4",
-    auth: authClient
-  });
-}
-
 async function ensureSheetExistsAndHeaders(sheets, spreadsheetId) {
   const meta = await sheets.spreadsheets.get({
     spreadsheetId,
@@ -142,7 +132,7 @@ function createDuaRow(chapter, duaItem) {
     keywordBundle.keywords_roman,
     keywordBundle.keywords_ar,
     keywordBundle.tags,
-    normalizeText(keywordBundle.search_blob)
+    normalizeSearchText(keywordBundle.search_blob)
   ];
 }
 
@@ -237,7 +227,7 @@ async function appendRows(sheets, spreadsheetId, rows) {
 
 async function upsertDuaMasterRows(rows) {
   const spreadsheetId = getSpreadsheetId();
-  const sheets = await getSheetsService();
+  const sheets = await getSheetsClient();
 
   await ensureSheetExistsAndHeaders(sheets, spreadsheetId);
   const existingIndex = await getExistingRowIndexByDuaId(sheets, spreadsheetId);
@@ -287,6 +277,8 @@ if (require.main === module) {
 }
 
 module.exports = {
+  HEADERS,
+  createDuaRow,
   run,
   buildMasterRows,
   upsertDuaMasterRows
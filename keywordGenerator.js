@@ -1,4 +1,5 @@
-const { normalizeText } = require("./utils");
+const { foldRomanUrdu } = require("./romanUrdu");
+const { normalizeSearchText, normalizeText } = require("./utils");
 
 const TOPIC_ORDER = [
   "sleep",
@@ -123,6 +124,13 @@ const TOPIC_BUNDLES = {
   }
 };
 
+// Tags carried by more than one topic ("adhkar") name none of them.
+const SHARED_TAGS = new Set(
+  Object.values(TOPIC_BUNDLES)
+    .flatMap((bundle) => bundle.tags)
+    .filter((tag, index, tags) => tags.indexOf(tag) !== index)
+);
+
 const CATEGORY_TO_TOPIC = {
   morning: "morning",
   evening: "evening",
@@ -174,6 +182,52 @@ function detectTopics({ chapterTitleEn = "", category = "", englishText = "" })
   return topics;
 }
 
+function getTopicLabel(topic) {
+  return TOPIC_BUNDLES[topic]?.tags[0] || String(topic || "");
+}
+
+function toTopicKey(value) {
+  return foldRomanUrdu(normalizeText(value).replace(/\s+/g, "_"));
+}
+
+// Names and tags win over triggers, which overlap between topics ("grief" is a sadness tag and
+// an anxiety trigger), so "money" or "worry" only resolve when nothing is named that way.
+function resolveTopic(value) {
+  const key = toTopicKey(value);
+  if (!key) {
+    return null;
+  }
+  const getNames = (bundle, topic) => [
+    topic,
+    ...bundle.tags.filter((tag) => !SHARED_TAGS.has(tag)),
+    ...bundle.roman.map((phrase) => phrase.split(" ")[0])
+  ];
+  for (const getWords of [getNames, (bundle) => bundle.triggers]) {
+    const topic = TOPIC_ORDER.find((name) =>
+      getWords(TOPIC_BUNDLES[name], name).some((word) => toTopicKey(word) === key)
+    );
+    if (topic) {
+      return topic;
+    }
+  }
+  return null;
+}
+
+// Only the topic's own tag counts; morning and evening rows both carry "adhkar".
+function matchesTopic(tags, topic) {
+  const bundle = TOPIC_BUNDLES[topic];
+  if (!bundle) {
+    return false;
+  }
+  const rowTags = new Set(
+    String(tags || "")
+      .split(",")
+      .map((tag) => normalizeText(tag))
+      .filter(Boolean)
+  );
+  return rowTags.has(bundle.tags[0]);
+}
+
 function generateKeywordBundle({ chapterTitleEn = "", category = "General", englishText = "", arabicText = "" }) {
   const topics = detectTopics({ chapterTitleEn, category, englishText });
 
@@ -201,7 +255,7 @@ function generateKeywordBundle({ chapterTitleEn = "", category = "General", engl
   const keywords_ar = toCsv([...sets.ar]);
   const tags = toCsv([...sets.tags]);
 
-  const search_blob = normalizeText(
+  const search_blob = normalizeSearchText(
     [
       chapterTitleEn,
       category,
@@ -226,6 +280,10 @@ function generateKeywordBundle({ chapterTitleEn = "", category = "General", engl
 }
 
 module.exports = {
+  TOPIC_ORDER,
+  getTopicLabel,
+  resolveTopic,
+  matchesTopic,
   inferCategory,
   generateKeywordBundle
 };
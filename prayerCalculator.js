@@ -0,0 +1,234 @@
+const METHOD_PARAMS = Object.freeze({
+  jafari: { fajr: 16, isha: 14, maghrib: 4 },
+  karachi: { fajr: 18, isha: 18 },
+  isna: { fajr: 15, isha: 15 },
+  mwl: { fajr: 18, isha: 17 },
+  makkah: { fajr: 18.5, ishaMinutes: 90 },
+  egypt: { fajr: 19.5, isha: 17.5 },
+  tehran: { fajr: 17.7, isha: 14, maghrib: 4.5 },
+  gulf: { fajr: 19.5, ishaMinutes: 90 },
+  kuwait: { fajr: 18, isha: 17.5 },
+  qatar: { fajr: 18, ishaMinutes: 90 },
+  singapore: { fajr: 20, isha: 18 },
+  france: { fajr: 12, isha: 12 },
+  turkey: { fajr: 18, isha: 17 },
+  russia: { fajr: 16, isha: 15 },
+  moonsighting: { fajr: 18, isha: 18 },
+  dubai: { fajr: 18.2, isha: 18.2 },
+  jakim: { fajr: 20, isha: 18 },
+  tunisia: { fajr: 18, isha: 18 },
+  algeria: { fajr: 18, isha: 17 },
+  kemenag: { fajr: 20, isha: 18 },
+  morocco: { fajr: 19, isha: 17 },
+  portugal: { fajr: 18, ishaMinutes: 77 },
+  jordan: { fajr: 18, isha: 18 }
+});
+const ASR_SHADOW_FACTORS = Object.freeze({ shafi: 1, hanafi: 2 });
+const IMSAK_MINUTES_BEFORE_FAJR = 10;
+const SUNRISE_ANGLE = 0.833;
+
+const degToRad = (degrees) => (degrees * Math.PI) / 180;
+const radToDeg = (radians) => (radians * 180) / Math.PI;
+const sin = (degrees) => Math.sin(degToRad(degrees));
+const cos = (degrees) => Math.cos(degToRad(degrees));
+const tan = (degrees) => Math.tan(degToRad(degrees));
+const arcsin = (value) => radToDeg(Math.asin(value));
+const arccos = (value) => radToDeg(Math.acos(value));
+const arctan2 = (y, x) => radToDeg(Math.atan2(y, x));
+const arccot = (value) => radToDeg(Math.atan(1 / value));
+
+function fixAngle(angle) {
+  return angle - 360 * Math.floor(angle / 360);
+}
+
+function fixHour(hour) {
+  return hour - 24 * Math.floor(hour / 24);
+}
+
+function timeDiff(from, to) {
+  return fixHour(to - from);
+}
+
+function julianDate(year, month, day) {
+  let y = year;
+  let m = month;
+  if (m <= 2) {
+    y -= 1;
+    m += 12;
+  }
+  const a = Math.floor(y / 100);
+  const b = 2 - a + Math.floor(a / 4);
+  return Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + day + b - 1524.5;
+}
+
+function sunPosition(jd) {
+  const d = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * d);
+  const q = fixAngle(280.459 + 0.98564736 * d);
+  const l = fixAngle(q + 1.915 * sin(g) + 0.02 * sin(2 * g));
+  const e = 23.439 - 0.00000036 * d;
+  const rightAscension = arctan2(cos(e) * sin(l), cos(l)) / 15;
+
+  return {
+    declination: arcsin(sin(e) * sin(l)),
+    equation: q / 15 - fixHour(rightAscension)
+  };
+}
+
+function getTimeZoneOffsetHours(dateKey, timeZone) {
+  const probe = new Date(`${dateKey}T12:00:00Z`);
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false
+  }).formatToParts(probe);
+  const map = {};
+  for (const part of parts) {
+    map[part.type] = part.value;
+  }
+  const hour = map.hour === "24" ? "00" : map.hour;
+  const wallClock = Date.UTC(
+    Number(map.year),
+    Number(map.month) - 1,
+    Number(map.day),
+    Number(hour),
+    Number(map.minute)
+  );
+  return (wallClock - probe.getTime()) / 3600000;
+}
+
+function createSolarCalculator(jd, latitude) {
+  function midDay(dayPortion) {
+    return fixHour(12 - sunPosition(jd + dayPortion).equation);
+  }
+
+  function sunAngleTime(angle, dayPortion, beforeNoon) {
+    const { declination } = sunPosition(jd + dayPortion);
+    const noon = midDay(dayPortion);
+    const cosine =
+      (-sin(angle) - sin(declination) * sin(latitude)) / (cos(declination) * cos(latitude));
+    const t = arccos(cosine) / 15;
+    return noon + (beforeNoon ? -t : t);
+  }
+
+  function asrTime(factor, dayPortion) {
+    const { declination } = sunPosition(jd + dayPortion);
+    const angle = -arccot(factor + tan(Math.abs(latitude - declination)));
+    return sunAngleTime(angle, dayPortion);
+  }
+
+  return { midDay, sunAngleTime, asrTime };
+}
+
+function adjustHighLatitude(times, params) {
+  const night = timeDiff(times.sunset, times.sunrise);
+  const fajrPortion = (params.fajr / 60) * night;
+  if (Number.isNaN(times.fajr) || timeDiff(times.fajr, times.sunrise) > fajrPortion) {
+    times.fajr = times.sunrise - fajrPortion;
+  }
+  if (params.isha !== undefined) {
+    const ishaPortion = (params.isha / 60) * night;
+    if (Number.isNaN(times.isha) || timeDiff(times.sunset, times.isha) > ishaPortion) {
+      times.isha = times.sunset + ishaPortion;
+    }
+  }
+  if (params.maghrib !== undefined && Number.isNaN(times.maghrib)) {
+    times.maghrib = times.sunset + (params.maghrib / 60) * night;
+  }
+}
+
+function formatClock(hours) {
+  if (!Number.isFinite(hours)) {
+    return "";
+  }
+  const totalMinutes = Math.round(fixHour(hours) * 60) % 1440;
+  const hh = String(Math.floor(totalMinutes / 60)).padStart(2, "0");
+  const mm = String(totalMinutes % 60).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+function calculatePrayerTimes({ dateKey, latitude, longitude, timezone, method, school }) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw new Error("Latitude and longitude are required to calculate prayer times.");
+  }
+
+  const params = METHOD_PARAMS[method] || METHOD_PARAMS.karachi;
+  const shadowFactor = ASR_SHADOW_FACTORS[school] || ASR_SHADOW_FACTORS.hanafi;
+  const [year, month, day] = String(dateKey).split("-").map(Number);
+  const jd = julianDate(year, month, day) - lng / (15 * 24);
+  const solar = createSolarCalculator(jd, lat);
+
+  const portion = (hour) => hour / 24;
+  const times = {
+    fajr: solar.sunAngleTime(params.fajr, portion(5), true),
+    sunrise: solar.sunAngleTime(SUNRISE_ANGLE, portion(6), true),
+    dhuhr: solar.midDay(portion(12)),
+    asr: solar.asrTime(shadowFactor, portion(13)),
+    sunset: solar.sunAngleTime(SUNRISE_ANGLE, portion(18)),
+    maghrib: solar.sunAngleTime(params.maghrib ?? SUNRISE_ANGLE, portion(18)),
+    isha: params.isha !== undefined ? solar.sunAngleTime(params.isha, portion(18)) : NaN
+  };
+
+  const offset = getTimeZoneOffsetHours(dateKey, timezone) - lng / 15;
+  for (const key of Object.keys(times)) {
+    times[key] += offset;
+  }
+
+  adjustHighLatitude(times, params);
+  if (params.ishaMinutes !== undefined) {
+    times.isha = times.maghrib + params.ishaMinutes / 60;
+  }
+
+  const night = timeDiff(times.sunset, times.fajr);
+  return {
+    Imsak: formatClock(times.fajr - IMSAK_MINUTES_BEFORE_FAJR / 60),
+    Fajr: formatClock(times.fajr),
+    Sunrise: formatClock(times.sunrise),
+    Dhuhr: formatClock(times.dhuhr),
+    Asr: formatClock(times.asr),
+    Sunset: formatClock(times.sunset),
+    Maghrib: formatClock(times.maghrib),
+    Isha: formatClock(times.isha),
+    Midnight: formatClock(times.sunset + night / 2),
+    Lastthird: formatClock(times.sunset + (night * 2) / 3)
+  };
+}
+
+function getHijriDateParts(dateKey, timeZone = "UTC") {
+  try {
+    const parts = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura", {
+      timeZone,
+      day: "numeric",
+      month: "numeric",
+      year: "numeric"
+    }).formatToParts(new Date(`${dateKey}T12:00:00Z`));
+    const monthName = new Intl.DateTimeFormat("en-u-ca-islamic-umalqura", {
+      timeZone,
+      month: "long"
+    }).format(new Date(`${dateKey}T12:00:00Z`));
+    const map = {};
+    for (const part of parts) {
+      map[part.type] = part.value;
+    }
+    return {
+      day: Number(map.day) || null,
+      month: Number(map.month) || null,
+      monthName,
+      year: Number.parseInt(map.year, 10) || null
+    };
+  } catch (error) {
+    return { day: null, month: null, monthName: "", year: null };
+  }
+}
+
+module.exports = {
+  METHOD_PARAMS,
+  calculatePrayerTimes,
+  getHijriDateParts
+};
@@ -0,0 +1,139 @@
+const { getDuaMasterRows } = require("./sheets");
+const { normalizeText, toMinutes, logError } = require("./utils");
+
+const RAMADAN_MONTH = 9;
+const RAMADAN_MODES = ["auto", "on", "off"];
+const SUHOOR_WARNING_MINUTES = 30;
+const TARAWEEH_AFTER_ISHA_MINUTES = 15;
+const LAST_TEN_NIGHTS_FROM = 21;
+const IFTAR_DUA_CACHE_MS = 6 * 60 * 60 * 1000;
+const FALLBACK_IFTAR_DUA = Object.freeze({
+  arabic: "ذَهَبَ الظَّمَأُ، وَابْتَلَّتِ الْعُرُوقُ، وَثَبَتَ الْأَجْرُ إِنْ شَاءَ اللَّهُ",
+  english:
+    "The thirst has gone, the veins are moistened and the reward is certain, if Allah wills.",
+  source: "Abu Dawud 2357 (Hisnul Muslim)"
+});
+
+let iftarDuaCache = { data: null, expiresAt: 0 };
+
+function resolveRamadanMode(value) {
+  const mode = String(value || "")
+    .trim()
+    .toLowerCase();
+  return RAMADAN_MODES.includes(mode) ? mode : null;
+}
+
+function isRamadanActive(mode, day) {
+  if (mode === "on") {
+    return true;
+  }
+  if (mode === "off") {
+    return false;
+  }
+  return day?.hijri?.month === RAMADAN_MONTH;
+}
+
+function getRamadanDay(day) {
+  return day?.hijri?.month === RAMADAN_MONTH ? day.hijri.day || null : null;
+}
+
+function shiftTime(hhmm, deltaMinutes) {
+  const minutes = toMinutes(hhmm);
+  const shifted = minutes === null ? -1 : minutes + deltaMinutes;
+  if (shifted < 0 || shifted >= 1440) {
+    return "";
+  }
+  const hours = String(Math.floor(shifted / 60)).padStart(2, "0");
+  return `${hours}:${String(shifted % 60).padStart(2, "0")}`;
+}
+
+// The Hijri day starts at Maghrib, so night N comes before day N: a reminder after Maghrib
+// belongs to the night of tomorrow's Hijri date, one after midnight to the night of today's.
+function getHijriOwner(day, nextDay, time) {
+  const minutes = toMinutes(time);
+  const maghrib = toMinutes(day?.timings?.Maghrib);
+  return minutes !== null && maghrib !== null && minutes > maghrib ? nextDay : day;
+}
+
+// Each event carries the day whose Hijri date it belongs to (`hijriDay`), so `auto` mode and
+// the day or night number follow that date rather than the Gregorian one.
+function getRamadanEvents(day, nextDay = null) {
+  const timings = day?.timings || {};
+  const imsak = timings.Imsak || shiftTime(timings.Fajr, -10);
+  const lastThird = timings.Lastthird || timings.Midnight;
+  const events = [
+    {
+      key: "suhoor_warning",
+      time: shiftTime(imsak, -SUHOOR_WARNING_MINUTES),
+      eventTime: imsak
+    },
+    { key: "imsak", time: imsak, eventTime: imsak },
+    { key: "iftar", time: timings.Maghrib, eventTime: timings.Maghrib },
+    {
+      key: "taraweeh",
+      time: shiftTime(timings.Isha, TARAWEEH_AFTER_ISHA_MINUTES),
+      eventTime: timings.Isha,
+      night: true
+    },
+    { key: "last_ten", time: lastThird, eventTime: lastThird, night: true }
+  ];
+
+  return events
+    .filter((event) => toMinutes(event.time) !== null)
+    .map((event) => {
+      const hijriDay = getHijriOwner(day, nextDay, event.time);
+      const ramadanDay = getRamadanDay(hijriDay);
+      return {
+        ...event,
+        hijriDay,
+        ramadanDay: event.night ? null : ramadanDay,
+        ramadanNight: event.night ? ramadanDay : null
+      };
+    })
+    .filter((event) => event.key !== "last_ten" || event.ramadanNight >= LAST_TEN_NIGHTS_FROM);
+}
+
+function isIftarDua(dua) {
+  const text = normalizeText(
+    [dua.chapter_title_en, dua.keywords_en, dua.keywords_roman, dua.tags].join(" ")
+  );
+  return (
+    text.includes("breaking fast") ||
+    text.includes("breaking the fast") ||
+    text.includes("iftar")
+  );
+}
+
+async function getIftarDua() {
+  if (iftarDuaCache.data && Date.now() < iftarDuaCache.expiresAt) {
+    return iftarDuaCache.data;
+  }
+
+  let dua = FALLBACK_IFTAR_DUA;
+  try {
+    const rows = await getDuaMasterRows();
+    const match = rows.find(isIftarDua);
+    if (match?.arabic) {
+      dua = {
+        arabic: match.arabic,
+        english: match.english,
+        source: match.source_ref || FALLBACK_IFTAR_DUA.source
+      };
+    }
+  } catch (error) {
+    logError("Failed to load iftar dua from DUA_MASTER", error);
+  }
+
+  iftarDuaCache = { data: dua, expiresAt: Date.now() + IFTAR_DUA_CACHE_MS };
+  return dua;
+}
+
+module.exports = {
+  RAMADAN_MODES,
+  SUHOOR_WARNING_MINUTES,
+  getIftarDua,
+  getRamadanDay,
+  getRamadanEvents,
+  isRamadanActive,
+  resolveRamadanMode
+};
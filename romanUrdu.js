@@ -0,0 +1,43 @@
+const { normalizeText } = require("./utils");
+
+const LATIN_WORD = /^[a-z]+$/;
+const CONSONANTS = "bcdfgjklmnprstvwxy";
+const MIN_SYNCOPE_LENGTH = 5;
+// Applied in order; each step rewrites the output of the previous one.
+const ROMAN_FOLDS = [
+  [/ee/g, "i"],
+  [/oo/g, "u"],
+  [/ck/g, "k"],
+  [/q/g, "k"],
+  [/z/g, "j"],
+  [new RegExp(`([${CONSONANTS}])h`, "g"), "$1"],
+  [/([aeiou])h$/, "$1"],
+  [/([a-z])\1+/g, "$1"],
+  [/e$/, "a"]
+];
+// safar/safr, rizaq/rizq: drop the short vowel of a final consonant-vowel-consonant syllable.
+const FINAL_SYLLABLE_VOWEL = new RegExp(`([${CONSONANTS}])[aeiu]([${CONSONANTS}])$`);
+
+function foldRomanUrdu(token) {
+  const value = String(token || "").toLowerCase();
+  if (!LATIN_WORD.test(value)) {
+    return value;
+  }
+  let folded = value;
+  for (const [pattern, replacement] of ROMAN_FOLDS) {
+    folded = folded.replace(pattern, replacement);
+  }
+  if (folded.length >= MIN_SYNCOPE_LENGTH) {
+    folded = folded.replace(FINAL_SYLLABLE_VOWEL, "$1$2");
+  }
+  return folded || value;
+}
+
+function foldRomanUrduText(text) {
+  return normalizeText(text).split(" ").map(foldRomanUrdu).join(" ");
+}
+
+module.exports = {
+  foldRomanUrdu,
+  foldRomanUrduText
+};
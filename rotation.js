@@ -0,0 +1,87 @@
+const { createStore } = require("./store");
+
+function shuffle(values, random = Math.random) {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function drawFromDeck(deck = {}, ids, random = Math.random) {
+  const available = new Set(ids);
+  const drawn = (deck.drawn || []).filter((id) => available.has(id));
+  let remaining = (deck.remaining || []).filter((id) => available.has(id));
+  const known = new Set([...drawn, ...remaining]);
+  const added = ids.filter((id) => !known.has(id));
+  if (added.length > 0) {
+    remaining = shuffle([...remaining, ...added], random);
+  }
+
+  // An exhausted deck is reshuffled, keeping the last card away from the top when possible.
+  if (remaining.length === 0) {
+    const last = drawn[drawn.length - 1];
+    remaining = shuffle(ids, random);
+    if (remaining.length > 1 && remaining[0] === last) {
+      remaining.push(remaining.shift());
+    }
+    return { id: remaining[0], deck: { remaining: remaining.slice(1), drawn: [remaining[0]] } };
+  }
+
+  return {
+    id: remaining[0],
+    deck: { remaining: remaining.slice(1), drawn: [...drawn, remaining[0]] }
+  };
+}
+
+class RotationStore {
+  constructor({ store = createStore("rotations"), random = Math.random } = {}) {
+    this.store = store;
+    this.random = random;
+  }
+
+  // Draws for every chat in one store update; ranges(ids) adds sheet cells to write with it.
+  // A deck already stamped with the chat's runKey was drawn by another process for this run,
+  // so that chat is left out of the result rather than sent a second dua.
+  async drawMany(chatIds, deckKey, ids, { runKey, ranges } = {}) {
+    const uniqueIds = [...new Set(ids.map(String).filter(Boolean))];
+    const drawn = new Map();
+    if (uniqueIds.length === 0 || chatIds.length === 0) {
+      return drawn;
+    }
+
+    const drawnRanges = (values) =>
+      ranges([...new Set([...values.keys()].map((chatId) => drawn.get(chatId)).filter(Boolean))]);
+    await this.store.updateMany(
+      chatIds,
+      (record = { decks: {} }, chatId) => {
+        const current = record.decks?.[deckKey];
+        const run = runKey ? runKey(chatId) : null;
+        drawn.delete(chatId);
+        if (run && current?.lastRun === run) {
+          return undefined;
+        }
+        const { id, deck } = drawFromDeck(current, uniqueIds, this.random);
+        drawn.set(chatId, id);
+        return { decks: { ...record.decks, [deckKey]: run ? { ...deck, lastRun: run } : deck } };
+      },
+      { ranges: ranges && drawnRanges }
+    );
+    return drawn;
+  }
+
+  forget(chatId) {
+    return this.store.delete(chatId);
+  }
+}
+
+function createRotationStore(options) {
+  return new RotationStore(options);
+}
+
+module.exports = {
+  createRotationStore,
+  drawFromDeck,
+  shuffle
+};
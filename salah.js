@@ -1,28 +1,458 @@
 const cron = require("node-cron");
 const axios = require("axios");
+const { calculatePrayerTimes, getHijriDateParts } = require("./prayerCalculator");
+const { createStore, persistInBackground } = require("./store");
+const {
+  SUHOOR_WARNING_MINUTES,
+  getIftarDua,
+  getRamadanEvents,
+  isRamadanActive,
+  resolveRamadanMode
+} = require("./ramadan");
 const {
   DEFAULT_TIMEZONE,
+  addDaysToDateKey,
   getLocalDateParts,
   cleanApiTime,
   toMinutes,
   formatSalahMessage,
+  formatRamadanMessage,
   logError,
   logInfo
 } = require("./utils");
 
-const ALADHAN_URL =
-  "https://api.aladhan.com/v1/timingsByCity?city=Delhi&country=India&method=1&school=1";
+const ALADHAN_BASE_URL = "https://api.aladhan.com/v1";
+const CALCULATED_RETRY_MS = 30 * 60 * 1000;
+const NEXT_MONTH_PREFETCH_FROM_DAY = 20;
+const CALCULATION_METHODS = Object.freeze({
+  jafari: { id: 0, label: "Shia Ithna-Ashari (Jafari)" },
+  karachi: { id: 1, label: "University of Islamic Sciences, Karachi" },
+  isna: { id: 2, label: "Islamic Society of North America (ISNA)" },
+  mwl: { id: 3, label: "Muslim World League (MWL)" },
+  makkah: { id: 4, label: "Umm al-Qura University, Makkah" },
+  egypt: { id: 5, label: "Egyptian General Authority of Survey" },
+  tehran: { id: 7, label: "Institute of Geophysics, University of Tehran" },
+  gulf: { id: 8, label: "Gulf Region" },
+  kuwait: { id: 9, label: "Kuwait" },
+  qatar: { id: 10, label: "Qatar" },
+  singapore: { id: 11, label: "Majlis Ugama Islam Singapura" },
+  france: { id: 12, label: "Union des Organisations Islamiques de France" },
+  turkey: { id: 13, label: "Diyanet İşleri Başkanlığı, Turkey" },
+  russia: { id: 14, label: "Spiritual Administration of Muslims of Russia" },
+  moonsighting: { id: 15, label: "Moonsighting Committee Worldwide" },
+  dubai: { id: 16, label: "Dubai" },
+  jakim: { id: 17, label: "JAKIM, Malaysia" },
+  tunisia: { id: 18, label: "Tunisia" },
+  algeria: { id: 19, label: "Algeria" },
+  kemenag: { id: 20, label: "KEMENAG, Indonesia" },
+  morocco: { id: 21, label: "Morocco" },
+  portugal: { id: 22, label: "Comunidade Islâmica de Lisboa" },
+  jordan: { id: 23, label: "Jordan" }
+});
+const METHOD_ALIASES = {
+  ummalqura: "makkah",
+  ummulqura: "makkah",
+  umm: "makkah",
+  mecca: "makkah",
+  muslimworldleague: "mwl",
+  northamerica: "isna",
+  egyptian: "egypt",
+  shia: "jafari",
+  malaysia: "jakim",
+  indonesia: "kemenag"
+};
+const ASR_SCHOOLS = Object.freeze({
+  shafi: { id: 0, label: "Shafi'i (standard)" },
+  hanafi: { id: 1, label: "Hanafi" }
+});
+const SCHOOL_ALIASES = {
+  shafii: "shafi",
+  standard: "shafi",
+  maliki: "shafi",
+  hanbali: "shafi"
+};
 const PRAYERS = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"];
+const TIMING_KEYS = ["Imsak", ...PRAYERS, "Sunrise", "Midnight", "Lastthird"];
+const SALAH_EVENTS = Object.freeze({
+  fajr: { label: "Fajr", timing: "Fajr" },
+  sunrise: { label: "Sunrise", timing: "Sunrise", note: "🌅 Fajr time has ended." },
+  dhuhr: { label: "Dhuhr", timing: "Dhuhr" },
+  jumuah: {
+    label: "Jumu'ah",
+    timing: "Dhuhr",
+    fridayOnly: true,
+    note: "🕌 Khutbah time. Go early, recite Surah al-Kahf and send salawat."
+  },
+  asr: { label: "Asr", timing: "Asr" },
+  maghrib: { label: "Maghrib", timing: "Maghrib" },
+  isha: { label: "Isha", timing: "Isha" },
+  tahajjud: {
+    label: "Tahajjud",
+    timing: "Lastthird",
+    fallbackTiming: "Midnight",
+    note: "🌌 The last third of the night has begun, a blessed time for Tahajjud and dua."
+  }
+});
+const DEFAULT_SALAH_EVENTS = ["fajr", "dhuhr", "asr", "maghrib", "isha"];
+const EVENT_ALIASES = {
+  fajar: "fajr",
+  subh: "fajr",
+  shuruq: "sunrise",
+  ishraq: "sunrise",
+  zuhr: "dhuhr",
+  zohar: "dhuhr",
+  zuhar: "dhuhr",
+  duhr: "dhuhr",
+  jumah: "jumuah",
+  jummah: "jumuah",
+  jumma: "jumuah",
+  juma: "jumuah",
+  friday: "jumuah",
+  asar: "asr",
+  magrib: "maghrib",
+  esha: "isha",
+  ishaa: "isha",
+  qiyam: "tahajjud",
+  lastthird: "tahajjud"
+};
+const DEFAULT_LOCATION = Object.freeze({
+  label: "Delhi",
+  city: "Delhi",
+  country: "India",
+  latitude: 28.6139,
+  longitude: 77.209,
+  timezone: DEFAULT_TIMEZONE
+});
+const MAX_ADVANCE_MINUTES = 120;
+const DEFAULT_SALAH_PREFERENCES = Object.freeze({
+  method: "karachi",
+  school: "hanafi",
+  minutesBefore: 0,
+  onTime: true,
+  events: DEFAULT_SALAH_EVENTS,
+  jumuahTime: "",
+  ramadan: "auto"
+});
+
+function toLookupKey(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function resolveCalculationMethod(name) {
+  const key = toLookupKey(name);
+  const resolved = CALCULATION_METHODS[key] ? key : METHOD_ALIASES[key];
+  return resolved || null;
+}
+
+function resolveAsrSchool(name) {
+  const key = toLookupKey(name);
+  const resolved = ASR_SCHOOLS[key] ? key : SCHOOL_ALIASES[key];
+  return resolved || null;
+}
+
+function parseAdvanceMinutes(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ADVANCE_MINUTES) {
+    return null;
+  }
+  return minutes;
+}
+
+function resolveSalahEvent(name) {
+  const key = toLookupKey(name);
+  const resolved = SALAH_EVENTS[key] ? key : EVENT_ALIASES[key];
+  return resolved || null;
+}
+
+function normalizeEventList(events) {
+  if (!Array.isArray(events)) {
+    return [...DEFAULT_SALAH_EVENTS];
+  }
+  const selected = new Set(events.map(resolveSalahEvent).filter(Boolean));
+  return Object.keys(SALAH_EVENTS).filter((key) => selected.has(key));
+}
+
+function parseClockTime(value) {
+  const text = String(value || "").trim();
+  const match = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const hhmm = `${match[1].padStart(2, "0")}:${match[2]}`;
+  return toMinutes(hhmm) === null ? null : hhmm;
+}
+
+function normalizeSalahPreferences(preferences = {}) {
+  return {
+    ...DEFAULT_SALAH_PREFERENCES,
+    ...preferences,
+    method: resolveCalculationMethod(preferences.method) || DEFAULT_SALAH_PREFERENCES.method,
+    school: resolveAsrSchool(preferences.school) || DEFAULT_SALAH_PREFERENCES.school,
+    minutesBefore: parseAdvanceMinutes(preferences.minutesBefore) ?? 0,
+    onTime: preferences.onTime !== false,
+    events: normalizeEventList(preferences.events),
+    jumuahTime: parseClockTime(preferences.jumuahTime) || "",
+    ramadan: resolveRamadanMode(preferences.ramadan) || DEFAULT_SALAH_PREFERENCES.ramadan
+  };
+}
+
+function getEventTime(eventKey, prayerTimes, preferences) {
+  const event = SALAH_EVENTS[eventKey];
+  if (eventKey === "jumuah" && preferences.jumuahTime) {
+    return preferences.jumuahTime;
+  }
+  if (prayerTimes[event.timing]) {
+    return prayerTimes[event.timing];
+  }
+  return event.fallbackTiming ? prayerTimes[event.fallbackTiming] || "" : "";
+}
+
+function findNextPrayer(days, now) {
+  const nowMinutes = toMinutes(now.timeKey);
+  for (const day of days) {
+    if (day.dateKey < now.dateKey) {
+      continue;
+    }
+    const dayOffset = Math.round(
+      (Date.parse(`${day.dateKey}T00:00:00Z`) - Date.parse(`${now.dateKey}T00:00:00Z`)) / 86400000
+    );
+    for (const prayer of PRAYERS) {
+      const prayerMinutes = toMinutes(day.timings[prayer]);
+      if (prayerMinutes === null) {
+        continue;
+      }
+      const minutesUntil = dayOffset * 1440 + prayerMinutes - nowMinutes;
+      if (minutesUntil > 0) {
+        return { dateKey: day.dateKey, prayer, time: day.timings[prayer], minutesUntil };
+      }
+    }
+  }
+  return null;
+}
+
+function isEventActiveOn(eventKey, weekdayIndex, selectedEvents) {
+  const event = SALAH_EVENTS[eventKey];
+  if (event.fridayOnly) {
+    return weekdayIndex === 5;
+  }
+  // On Fridays Jumu'ah takes the place of the Dhuhr reminder for chats that follow it.
+  if (eventKey === "dhuhr" && weekdayIndex === 5 && selectedEvents.includes("jumuah")) {
+    return false;
+  }
+  return true;
+}
+
+function buildReminderPlan(preferences) {
+  const plan = [];
+  if (preferences.minutesBefore > 0) {
+    plan.push({ kind: "before", offset: preferences.minutesBefore });
+  }
+  if (preferences.onTime) {
+    plan.push({ kind: "ontime", offset: 0 });
+  }
+  return plan;
+}
+
+function isCoordinate(value) {
+  return value !== null && value !== "" && Number.isFinite(Number(value));
+}
+
+function hasCoordinates(location) {
+  return isCoordinate(location?.latitude) && isCoordinate(location?.longitude);
+}
+
+function getLocationKey(location) {
+  if (location?.city && location?.country) {
+    return `city:${String(location.city).trim().toLowerCase()},${String(location.country)
+      .trim()
+      .toLowerCase()}`;
+  }
+  if (hasCoordinates(location)) {
+    return `geo:${Number(location.latitude).toFixed(3)},${Number(location.longitude).toFixed(3)}`;
+  }
+  return getLocationKey(DEFAULT_LOCATION);
+}
+
+function getProfileKey(profile) {
+  const preferences = normalizeSalahPreferences(profile);
+  const methodId = CALCULATION_METHODS[preferences.method].id;
+  const schoolId = ASR_SCHOOLS[preferences.school].id;
+  return `${getLocationKey(profile.location)}|m${methodId}|s${schoolId}`;
+}
+
+function buildAladhanQuery(preferences) {
+  const { method, school } = normalizeSalahPreferences(preferences);
+  return `method=${CALCULATION_METHODS[method].id}&school=${ASR_SCHOOLS[school].id}`;
+}
+
+function toAladhanDate(dateKey) {
+  const [year, month, day] = String(dateKey).split("-");
+  return `${day}-${month}-${year}`;
+}
+
+function buildTimingsUrl(location, dateKey, preferences = DEFAULT_SALAH_PREFERENCES) {
+  const query = buildAladhanQuery(preferences);
+  const datePath = dateKey ? `/${toAladhanDate(dateKey)}` : "";
+  if (location?.city && location?.country) {
+    const city = encodeURIComponent(String(location.city).trim());
+    const country = encodeURIComponent(String(location.country).trim());
+    return `${ALADHAN_BASE_URL}/timingsByCity${datePath}?city=${city}&country=${country}&${query}`;
+  }
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  return `${ALADHAN_BASE_URL}/timings${datePath}?latitude=${latitude}&longitude=${longitude}&${query}`;
+}
+
+function buildCalendarUrl(location, monthKey, preferences = DEFAULT_SALAH_PREFERENCES) {
+  const query = buildAladhanQuery(preferences);
+  const [year, month] = String(monthKey).split("-").map(Number);
+  if (location?.city && location?.country) {
+    const city = encodeURIComponent(String(location.city).trim());
+    const country = encodeURIComponent(String(location.country).trim());
+    return `${ALADHAN_BASE_URL}/calendarByCity/${year}/${month}?city=${city}&country=${country}&${query}`;
+  }
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  return `${ALADHAN_BASE_URL}/calendar/${year}/${month}?latitude=${latitude}&longitude=${longitude}&${query}`;
+}
+
+function fromAladhanDate(value) {
+  const [day, month, year] = String(value || "").split("-");
+  return day && month && year ? `${year}-${month}-${day}` : "";
+}
+
+function mapAladhanDay(data) {
+  const timings = {};
+  for (const key of TIMING_KEYS) {
+    timings[key] = cleanApiTime(data.timings[key]);
+  }
+
+  const hijri = data.date?.hijri || {};
+  const gregorian = data.date?.gregorian || {};
+
+  return {
+    dateKey: fromAladhanDate(gregorian.date),
+    timings,
+    hijri: {
+      day: Number(hijri.day) || null,
+      month: Number(hijri.month?.number) || null,
+      monthName: hijri.month?.en || "",
+      year: Number(hijri.year) || null
+    },
+    gregorian: {
+      readable: data.date?.readable || "",
+      weekday: gregorian.weekday?.en || ""
+    }
+  };
+}
+
+async function fetchAladhanDay(location, dateKey, preferences) {
+  const response = await axios.get(buildTimingsUrl(location, dateKey, preferences), {
+    timeout: 15000
+  });
+  const data = response?.data?.data;
+  if (!data?.timings) {
+    throw new Error("Invalid Aladhan response.");
+  }
+
+  return {
+    ...mapAladhanDay(data),
+    meta: {
+      timezone: data.meta?.timezone || "",
+      latitude: Number(data.meta?.latitude),
+      longitude: Number(data.meta?.longitude)
+    }
+  };
+}
+
+async function fetchAladhanMonth(location, monthKey, preferences) {
+  const response = await axios.get(buildCalendarUrl(location, monthKey, preferences), {
+    timeout: 30000
+  });
+  const data = response?.data?.data;
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error("Invalid Aladhan calendar response.");
+  }
+  return data.filter((item) => item?.timings).map(mapAladhanDay);
+}
+
+function calculateFallbackDay(profile, dateKey) {
+  const location = profile.location || DEFAULT_LOCATION;
+  const timezone = location.timezone || DEFAULT_TIMEZONE;
+  const timings = calculatePrayerTimes({
+    dateKey,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    timezone,
+    method: profile.method,
+    school: profile.school
+  });
+  const date = new Date(`${dateKey}T12:00:00Z`);
+
+  return {
+    dateKey,
+    timings,
+    hijri: getHijriDateParts(dateKey, timezone),
+    gregorian: {
+      readable: new Intl.DateTimeFormat("en-GB", {
+        timeZone: "UTC",
+        day: "2-digit",
+        month: "short",
+        year: "numeric"
+      }).format(date),
+      weekday: new Intl.DateTimeFormat("en-US", { timeZone: "UTC", weekday: "long" }).format(date)
+    }
+  };
+}
+
+function formatCoordinateLabel(latitude, longitude) {
+  return `${Number(latitude).toFixed(2)}, ${Number(longitude).toFixed(2)}`;
+}
+
+async function resolveSalahLocation(input = {}) {
+  const city = String(input.city || "").trim();
+  const country = String(input.country || "").trim();
+  const byCity = Boolean(city && country);
+
+  if (!byCity && !hasCoordinates(input)) {
+    throw new Error("A city and country, or latitude and longitude, are required.");
+  }
+
+  const candidate = byCity
+    ? { city, country }
+    : { latitude: Number(input.latitude), longitude: Number(input.longitude) };
+  const { meta } = await fetchAladhanDay(candidate, null);
+  if (!meta.timezone) {
+    throw new Error("Aladhan did not return a timezone for this location.");
+  }
+
+  const latitude = byCity ? meta.latitude : candidate.latitude;
+  const longitude = byCity ? meta.longitude : candidate.longitude;
+
+  return {
+    label: byCity ? city : formatCoordinateLabel(latitude, longitude),
+    city: byCity ? city : "",
+    country: byCity ? country : "",
+    latitude: Number.isFinite(latitude) ? latitude : null,
+    longitude: Number.isFinite(longitude) ? longitude : null,
+    timezone: meta.timezone
+  };
+}
 
 class SalahService {
-  constructor({ bot, getTargetChatIds, timezone = DEFAULT_TIMEZONE }) {
+  constructor({ bot, getTargets, timezone = DEFAULT_TIMEZONE, calendarStore }) {
     this.bot = bot;
-    this.getTargetChatIds = getTargetChatIds;
+    this.getTargets = getTargets;
     this.timezone = timezone;
     this.jobs = [];
     this.prayerTimesByDate = new Map();
     this.sentByDate = new Map();
-    this.isFetching = false;
+    this.pendingFetches = new Map();
+    this.calendarStore = calendarStore || createStore("salah_calendar", { backend: "json" });
+    this.calendars = new Map();
+    this.calendarsLoaded = null;
   }
 
   start() {
@@ -59,53 +489,224 @@ class SalahService {
     this.jobs = [];
   }
 
+  getTargetList() {
+    const targets = this.getTargets?.();
+    if (!Array.isArray(targets)) {
+      return [];
+    }
+    return targets.map((target) => ({
+      chatId: target.chatId,
+      preferences: normalizeSalahPreferences(target.preferences),
+      profile: {
+        ...normalizeSalahPreferences(target.preferences),
+        location: target.location || DEFAULT_LOCATION
+      }
+    }));
+  }
+
+  groupTargetsByProfile(targets) {
+    const groups = new Map();
+    for (const target of targets) {
+      const key = getProfileKey(target.profile);
+      if (!groups.has(key)) {
+        groups.set(key, { key, profile: target.profile, targets: [] });
+      }
+      groups.get(key).targets.push(target);
+    }
+    return [...groups.values()];
+  }
+
+  getLocationTimezone(location) {
+    return location?.timezone || this.timezone;
+  }
+
+  getActiveProfiles() {
+    const groups = this.groupTargetsByProfile(this.getTargetList());
+    if (groups.length === 0) {
+      const profile = { ...DEFAULT_SALAH_PREFERENCES, location: DEFAULT_LOCATION };
+      groups.push({ key: getProfileKey(profile), profile });
+    }
+    return groups;
+  }
+
   async safeFetchPrayerTimes() {
     try {
-      await this.fetchPrayerTimesForToday();
+      for (const group of this.getActiveProfiles()) {
+        const timezone = this.getLocationTimezone(group.profile.location);
+        const dateKey = getLocalDateParts(new Date(), timezone).dateKey;
+        await this.fetchPrayerTimesForToday(group.profile, dateKey);
+      }
     } catch (error) {
       logError("Salah prayer time fetch failed", error);
     }
+
+    try {
+      await this.prefetchCalendars();
+    } catch (error) {
+      logError("Salah calendar prefetch failed", error);
+    }
   }
 
-  async fetchPrayerTimesForToday() {
-    if (this.isFetching) {
-      return;
+  async loadCalendars() {
+    if (!this.calendarsLoaded) {
+      this.calendarsLoaded = this.calendarStore.load().then((records) => {
+        for (const [key, calendar] of records.entries()) {
+          if (calendar?.days && typeof calendar.days === "object") {
+            this.calendars.set(key, calendar);
+          }
+        }
+      });
     }
-    this.isFetching = true;
+    return this.calendarsLoaded;
+  }
 
-    try {
-      const response = await axios.get(ALADHAN_URL, { timeout: 15000 });
-      const timings = response?.data?.data?.timings;
-      if (!timings) {
-        throw new Error("Invalid Aladhan response.");
+  async prefetchCalendars() {
+    await this.loadCalendars();
+
+    const wantedKeys = new Set();
+    for (const group of this.getActiveProfiles()) {
+      const timezone = this.getLocationTimezone(group.profile.location);
+      const today = getLocalDateParts(new Date(), timezone);
+      const monthKeys = [today.dateKey.slice(0, 7)];
+      if (Number(today.day) >= NEXT_MONTH_PREFETCH_FROM_DAY) {
+        monthKeys.push(addDaysToDateKey(`${monthKeys[0]}-01`, 32).slice(0, 7));
       }
 
-      const currentDateKey = getLocalDateParts(new Date(), this.timezone).dateKey;
-      const normalized = {};
-      for (const prayer of PRAYERS) {
-        normalized[prayer] = cleanApiTime(timings[prayer]);
+      for (const monthKey of monthKeys) {
+        const calendarKey = `${group.key}|${monthKey}`;
+        wantedKeys.add(calendarKey);
+        if (this.calendars.has(calendarKey)) {
+          continue;
+        }
+
+        try {
+          await this.storeCalendarMonth(group.profile, monthKey, calendarKey);
+        } catch (error) {
+          logError(`Failed to prefetch prayer calendar ${calendarKey}`, error);
+        }
       }
+    }
 
-      this.prayerTimesByDate.set(currentDateKey, normalized);
-      if (!this.sentByDate.has(currentDateKey)) {
-        this.sentByDate.set(currentDateKey, new Set());
+    for (const calendarKey of [...this.calendars.keys()]) {
+      if (!wantedKeys.has(calendarKey)) {
+        this.calendars.delete(calendarKey);
+        persistInBackground(this.calendarStore.delete(calendarKey), `calendar ${calendarKey}`);
       }
-      this.cleanupStaleState(currentDateKey);
-      logInfo(`Prayer times fetched for ${currentDateKey}`, normalized);
-    } finally {
-      this.isFetching = false;
     }
   }
 
-  cleanupStaleState(activeDateKey) {
-    for (const dateKey of this.prayerTimesByDate.keys()) {
-      if (dateKey !== activeDateKey) {
-        this.prayerTimesByDate.delete(dateKey);
+  async storeCalendarMonth(profile, monthKey, calendarKey) {
+    const days = await fetchAladhanMonth(profile.location, monthKey, profile);
+    const calendar = { fetchedAt: new Date().toISOString(), days: {} };
+    for (const day of days) {
+      if (day.dateKey) {
+        calendar.days[day.dateKey] = day;
       }
     }
-    for (const dateKey of this.sentByDate.keys()) {
-      if (dateKey !== activeDateKey) {
-        this.sentByDate.delete(dateKey);
+    this.calendars.set(calendarKey, calendar);
+    persistInBackground(this.calendarStore.set(calendarKey, calendar), `calendar ${calendarKey}`);
+    logInfo(`Prayer calendar stored for ${profile.location.label} (${monthKey}).`);
+  }
+
+  async getStoredCalendarDay(profile, dateKey) {
+    try {
+      await this.loadCalendars();
+    } catch (error) {
+      this.calendarsLoaded = null;
+      logError("Failed to load stored prayer calendars", error);
+      return null;
+    }
+    const calendar = this.calendars.get(`${getProfileKey(profile)}|${dateKey.slice(0, 7)}`);
+    return calendar?.days?.[dateKey] || null;
+  }
+
+  async resolvePrayerDay(profile, dateKey) {
+    const location = profile.location || DEFAULT_LOCATION;
+    const stored = await this.getStoredCalendarDay(profile, dateKey);
+    if (stored) {
+      return { ...stored, dateKey, source: "calendar" };
+    }
+
+    try {
+      const { timings, hijri, gregorian } = await fetchAladhanDay(location, dateKey, profile);
+      return { dateKey, timings, hijri, gregorian, source: "aladhan" };
+    } catch (error) {
+      if (!hasCoordinates(location)) {
+        throw error;
+      }
+      logError(
+        `Aladhan unavailable for ${location.label} on ${dateKey}; using calculated prayer times`,
+        error
+      );
+      return {
+        ...calculateFallbackDay(profile, dateKey),
+        source: "calculated",
+        retryAt: Date.now() + CALCULATED_RETRY_MS
+      };
+    }
+  }
+
+  async fetchPrayerTimesForToday(profile, dateKey) {
+    const location = profile.location || DEFAULT_LOCATION;
+    const cacheKey = `${getProfileKey(profile)}|${dateKey}`;
+    if (this.pendingFetches.has(cacheKey)) {
+      return this.pendingFetches.get(cacheKey);
+    }
+
+    const pending = (async () => {
+      const day = await this.resolvePrayerDay(profile, dateKey);
+      this.prayerTimesByDate.set(cacheKey, day);
+      logInfo(
+        `Prayer times (${day.source}) for ${location.label} (${profile.method}/${profile.school}) on ${dateKey}`,
+        day.timings
+      );
+      return day;
+    })();
+
+    this.pendingFetches.set(cacheKey, pending);
+    try {
+      return await pending;
+    } finally {
+      this.pendingFetches.delete(cacheKey);
+    }
+  }
+
+  async getPrayerDay(profile, dateKey) {
+    const cached = this.prayerTimesByDate.get(`${getProfileKey(profile)}|${dateKey}`);
+    if (cached && (!cached.retryAt || Date.now() < cached.retryAt)) {
+      return cached;
+    }
+    return this.fetchPrayerTimesForToday(profile, dateKey);
+  }
+
+  async getTimetable(target, { startOffsetDays = 0, days = 1 } = {}) {
+    const location = target.location || DEFAULT_LOCATION;
+    const profile = { ...normalizeSalahPreferences(target.preferences), location };
+    const now = getLocalDateParts(new Date(), this.getLocationTimezone(location));
+
+    const timetableDays = [];
+    for (let offset = startOffsetDays; offset < startOffsetDays + days; offset += 1) {
+      timetableDays.push(await this.getPrayerDay(profile, addDaysToDateKey(now.dateKey, offset)));
+    }
+
+    let nextPrayer = startOffsetDays === 0 ? findNextPrayer(timetableDays, now) : null;
+    if (!nextPrayer && startOffsetDays === 0 && days === 1) {
+      const tomorrow = await this.getPrayerDay(profile, addDaysToDateKey(now.dateKey, 1));
+      nextPrayer = findNextPrayer([tomorrow], now);
+    }
+
+    return { location, now, days: timetableDays, nextPrayer };
+  }
+
+  cleanupStaleState() {
+    // Locations can be up to a day ahead of or behind the service timezone.
+    const oldestDateKey = addDaysToDateKey(getLocalDateParts(new Date(), this.timezone).dateKey, -1);
+    for (const store of [this.prayerTimesByDate, this.sentByDate]) {
+      for (const cacheKey of store.keys()) {
+        const dateKey = cacheKey.slice(cacheKey.lastIndexOf("|") + 1);
+        if (dateKey < oldestDateKey) {
+          store.delete(cacheKey);
+        }
       }
     }
   }
@@ -119,44 +720,172 @@ class SalahService {
   }
 
   async checkAndSendPrayerReminders() {
-    const now = getLocalDateParts(new Date(), this.timezone);
-    const dateKey = now.dateKey;
-    const nowMinutes = toMinutes(now.timeKey);
+    const groups = this.groupTargetsByProfile(this.getTargetList());
+    if (groups.length === 0) {
+      return;
+    }
+
+    for (const group of groups) {
+      const now = getLocalDateParts(new Date(), this.getLocationTimezone(group.profile.location));
+      const cacheKey = `${group.key}|${now.dateKey}`;
 
+      try {
+        await this.checkProfileGroup(group, now, cacheKey);
+      } catch (error) {
+        logError(`Salah reminder check failed for ${group.key}`, error);
+      }
+    }
+
+    this.cleanupStaleState();
+  }
+
+  async checkProfileGroup(group, now, cacheKey) {
+    const nowMinutes = toMinutes(now.timeKey);
     if (nowMinutes === null) {
       return;
     }
 
-    if (!this.prayerTimesByDate.has(dateKey)) {
-      await this.fetchPrayerTimesForToday();
+    const day = await this.getPrayerDay(group.profile, now.dateKey);
+    if (!day?.timings) {
+      return;
     }
 
-    const prayerTimes = this.prayerTimesByDate.get(dateKey);
-    if (!prayerTimes) {
-      return;
+    // A reminder due before an event just after midnight falls due late this evening, so the
+    // last hours of the day also walk tomorrow's events, shifted by a day.
+    let tomorrowPromise = null;
+    const getTomorrow = () => {
+      tomorrowPromise = tomorrowPromise || this.getTomorrowPrayerDay(group, now);
+      return tomorrowPromise;
+    };
+    const eventDays = [{ day, dateKey: now.dateKey, weekdayIndex: now.weekdayIndex, shift: 0 }];
+    if (nowMinutes >= 1440 - MAX_ADVANCE_MINUTES - 1) {
+      const tomorrow = await getTomorrow();
+      if (tomorrow?.timings) {
+        eventDays.push({
+          day: tomorrow,
+          dateKey: addDaysToDateKey(now.dateKey, 1),
+          weekdayIndex: (now.weekdayIndex + 1) % 7,
+          shift: 1440
+        });
+      }
     }
 
-    const sentSet = this.sentByDate.get(dateKey) || new Set();
-    const targetIds = this.getTargetChatIds?.();
-    const targetChats = Array.isArray(targetIds) ? targetIds : [];
+    const sentSet = this.getSentSet(cacheKey);
+    const outgoing = new Map();
+    for (const target of group.targets) {
+      const { preferences } = target;
+      const plan = buildReminderPlan(preferences);
+      for (const eventDay of eventDays) {
+        this.collectEventReminders(target, group, eventDay, nowMinutes, plan, outgoing);
+      }
 
-    if (targetChats.length === 0) {
-      return;
+      if (preferences.ramadan !== "off") {
+        // Taraweeh and other reminders after Maghrib count towards tomorrow's Hijri date.
+        const afterMaghrib = nowMinutes >= toMinutes(day.timings.Maghrib);
+        const nextDay = afterMaghrib ? await getTomorrow() : null;
+        const days = { day, nextDay };
+        await this.collectRamadanReminders(target, group, days, nowMinutes, sentSet, outgoing);
+      }
     }
 
-    for (const prayer of PRAYERS) {
-      const prayerMinutes = toMinutes(prayerTimes[prayer]);
-      if (prayerMinutes === null) {
+    for (const { message, chatIds } of outgoing.values()) {
+      await this.broadcast(chatIds, message);
+    }
+  }
+
+  async getTomorrowPrayerDay(group, now) {
+    try {
+      return await this.getPrayerDay(group.profile, addDaysToDateKey(now.dateKey, 1));
+    } catch (error) {
+      logError(`Failed to load tomorrow's prayer times for ${group.key}`, error);
+      return null;
+    }
+  }
+
+  getSentSet(cacheKey) {
+    if (!this.sentByDate.has(cacheKey)) {
+      this.sentByDate.set(cacheKey, new Set());
+    }
+    return this.sentByDate.get(cacheKey);
+  }
+
+  // Sent notices are recorded under the event's own date, so a notice sent late in the evening
+  // for a prayer after midnight is already marked when that day's checks begin.
+  collectEventReminders(target, group, eventDay, nowMinutes, plan, outgoing) {
+    const { preferences } = target;
+    const { day, dateKey, weekdayIndex, shift } = eventDay;
+    const sentSet = this.getSentSet(`${group.key}|${dateKey}`);
+    for (const eventKey of preferences.events) {
+      if (!isEventActiveOn(eventKey, weekdayIndex, preferences.events)) {
+        continue;
+      }
+
+      const eventTime = getEventTime(eventKey, day.timings, preferences);
+      const eventMinutes = toMinutes(eventTime);
+      if (eventMinutes === null) {
         continue;
       }
 
-      if (Math.abs(nowMinutes - prayerMinutes) <= 1 && !sentSet.has(prayer)) {
-        await this.broadcast(targetChats, formatSalahMessage(prayer));
-        sentSet.add(prayer);
+      for (const step of plan) {
+        const localDueMinutes = eventMinutes - step.offset;
+        // A due time before midnight belongs to the previous day's check, so today's events
+        // skip it and tomorrow's events contribute nothing else.
+        if (shift > 0 ? localDueMinutes >= 0 : localDueMinutes < 0) {
+          continue;
+        }
+        const dueMinutes = localDueMinutes + shift;
+        const sentKey = `${target.chatId}:${eventKey}:${step.kind}`;
+        if (Math.abs(nowMinutes - dueMinutes) > 1 || sentSet.has(sentKey)) {
+          continue;
+        }
+
+        const messageKey = `${dateKey}:${eventKey}:${eventTime}:${step.kind}:${step.offset}`;
+        if (!outgoing.has(messageKey)) {
+          const event = SALAH_EVENTS[eventKey];
+          outgoing.set(messageKey, {
+            message: formatSalahMessage(event.label, {
+              location: group.profile.location.label,
+              minutesBefore: step.offset,
+              time: step.offset > 0 || event.note ? eventTime : "",
+              note: event.note
+            }),
+            chatIds: []
+          });
+        }
+        outgoing.get(messageKey).chatIds.push(target.chatId);
+        sentSet.add(sentKey);
       }
     }
+  }
+
+  async collectRamadanReminders(target, group, { day, nextDay }, nowMinutes, sentSet, outgoing) {
+    for (const event of getRamadanEvents(day, nextDay)) {
+      const sentKey = `${target.chatId}:ramadan:${event.key}`;
+      if (
+        !isRamadanActive(target.preferences.ramadan, event.hijriDay) ||
+        Math.abs(nowMinutes - toMinutes(event.time)) > 1 ||
+        sentSet.has(sentKey)
+      ) {
+        continue;
+      }
 
-    this.sentByDate.set(dateKey, sentSet);
+      const messageKey = `ramadan:${event.key}`;
+      if (!outgoing.has(messageKey)) {
+        outgoing.set(messageKey, {
+          message: formatRamadanMessage(event.key, {
+            location: group.profile.location.label,
+            time: event.eventTime,
+            ramadanDay: event.ramadanDay,
+            ramadanNight: event.ramadanNight,
+            minutesLeft: SUHOOR_WARNING_MINUTES,
+            dua: event.key === "iftar" ? await getIftarDua() : null
+          }),
+          chatIds: []
+        });
+      }
+      outgoing.get(messageKey).chatIds.push(target.chatId);
+      sentSet.add(sentKey);
+    }
   }
 
   async broadcast(chatIds, message) {
@@ -176,5 +905,19 @@ function createSalahService(config) {
 }
 
 module.exports = {
-  createSalahService
+  CALCULATION_METHODS,
+  ASR_SCHOOLS,
+  DEFAULT_LOCATION,
+  DEFAULT_SALAH_PREFERENCES,
+  DEFAULT_SALAH_EVENTS,
+  MAX_ADVANCE_MINUTES,
+  SALAH_EVENTS,
+  createSalahService,
+  normalizeSalahPreferences,
+  parseAdvanceMinutes,
+  parseClockTime,
+  resolveAsrSchool,
+  resolveSalahEvent,
+  resolveCalculationMethod,
+  resolveSalahLocation
 };
@@ -1,15 +1,42 @@
 const cron = require("node-cron");
-const { getRandomDuaByCategory, getSahihHadithForWeekday } = require("./sheets");
-const { createSalahService } = require("./salah");
+const {
+  batchUpdateRanges,
+  getDuaMasterRows,
+  getDuaSentRanges,
+  getDuasByCategory,
+  getHadithSentRanges,
+  getRotationId,
+  getSahihHadithForWeekday
+} = require("./sheets");
+const {
+  DEFAULT_LOCATION,
+  createSalahService,
+  normalizeSalahPreferences
+} = require("./salah");
+const {
+  DISABLED_SLOT,
+  DUA_SCHEDULE_SLOTS,
+  isAnchoredTime,
+  normalizeDuaSchedule,
+  resolveDuaTimeMinutes
+} = require("./duaSchedule");
 const { createDriveMonitor } = require("./driveMonitor");
+const { createStore, getStoreBackend, persistInBackground } = require("./store");
+const { buildSaveKeyboard } = require("./bookmarks");
+const { createFollowStore, isFollowDue, pickFollowedDua } = require("./follows");
+const { createRotationStore } = require("./rotation");
 const {
   DEFAULT_TIMEZONE,
+  addDaysToDateKey,
+  getLocalDateParts,
   getWeekdayIndexInTimeZone,
   formatDuaMessage,
   formatHadithMessage,
   formatClassReminderMessage,
   logError,
-  logInfo
+  logInfo,
+  toDuaDisplayModel,
+  toMinutes
 } = require("./utils");
 
 const DEFAULT_REMINDER_SETTINGS = {
@@ -17,28 +44,132 @@ const DEFAULT_REMINDER_SETTINGS = {
   hadith: true,
   salah: true
 };
+const CHAT_LOAD_RETRY_DELAYS_MS = [2000, 5000, 15000, 30000, 60000];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 function createScheduler(bot, options = {}) {
   const timezone = options.timezone || DEFAULT_TIMEZONE;
+  const chatStore = options.chatStore || createStore("chats");
+  const followStore = options.followStore || createFollowStore();
+  const rotationStore = options.rotationStore || createRotationStore();
   const knownChats = new Set();
   const reminderSettings = new Map();
+  const chatLocations = new Map();
+  const salahPreferences = new Map();
+  const duaSchedules = new Map();
+  const sentDuaSlots = new Map();
+  const dispatchingDuaSlots = new Set();
+  const changedBeforeLoad = new Set();
   const cronJobs = [];
+  let chatsLoaded = false;
   let started = false;
   let salahService = null;
   let driveMonitor = null;
 
-  function ensureChat(chatId) {
+  function normalizeChatId(chatId) {
     const normalizedChatId = Number(chatId);
-    if (!Number.isFinite(normalizedChatId)) {
+    return Number.isFinite(normalizedChatId) ? normalizedChatId : null;
+  }
+
+  function ensureChat(chatId) {
+    const normalizedChatId = normalizeChatId(chatId);
+    if (normalizedChatId === null) {
       return null;
     }
     knownChats.add(normalizedChatId);
     if (!reminderSettings.has(normalizedChatId)) {
       reminderSettings.set(normalizedChatId, { ...DEFAULT_REMINDER_SETTINGS });
+      if (chatsLoaded) {
+        persistChat(normalizedChatId);
+      }
     }
     return normalizedChatId;
   }
 
+  function buildChatRecord(chatId) {
+    const record = {
+      settings: { ...(reminderSettings.get(chatId) || DEFAULT_REMINDER_SETTINGS) }
+    };
+    if (chatLocations.has(chatId)) {
+      record.location = { ...chatLocations.get(chatId) };
+    }
+    if (salahPreferences.has(chatId)) {
+      record.salah = { ...salahPreferences.get(chatId) };
+    }
+    if (duaSchedules.has(chatId)) {
+      record.duaSchedule = { ...duaSchedules.get(chatId) };
+    }
+    return record;
+  }
+
+  function persistChat(chatId) {
+    if (!chatsLoaded) {
+      changedBeforeLoad.add(chatId);
+      return;
+    }
+    persistInBackground(chatStore.set(chatId, buildChatRecord(chatId)), `chat ${chatId}`);
+  }
+
+  function applyChatRecord(chatId, record) {
+    knownChats.add(chatId);
+    reminderSettings.set(chatId, {
+      ...DEFAULT_REMINDER_SETTINGS,
+      ...(record?.settings || {})
+    });
+    if (record?.location?.timezone) {
+      chatLocations.set(chatId, { ...record.location });
+    }
+    if (record?.salah) {
+      salahPreferences.set(chatId, normalizeSalahPreferences(record.salah));
+    }
+    if (record?.duaSchedule) {
+      duaSchedules.set(chatId, normalizeDuaSchedule(record.duaSchedule));
+    }
+  }
+
+  // Until the saved chats are read, nothing is written back, so a failed load cannot
+  // replace the stored subscribers with the few chats seen since boot.
+  async function readPersistedChats() {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await chatStore.load();
+      } catch (error) {
+        const delayMs =
+          CHAT_LOAD_RETRY_DELAYS_MS[Math.min(attempt, CHAT_LOAD_RETRY_DELAYS_MS.length - 1)];
+        logError(`Failed to load persisted chats; retrying in ${delayMs / 1000}s`, error);
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  async function loadPersistedChats() {
+    const storedChatIds = new Set();
+    const records = await readPersistedChats();
+    for (const [key, record] of records.entries()) {
+      const chatId = normalizeChatId(key);
+      if (chatId === null) {
+        continue;
+      }
+      storedChatIds.add(chatId);
+      if (!changedBeforeLoad.has(chatId)) {
+        applyChatRecord(chatId, record);
+      }
+    }
+    logInfo(`Loaded ${storedChatIds.size} chat(s) from ${getStoreBackend()} store.`);
+
+    // Chats first seen (or toggled) while loading are written once the store is readable.
+    chatsLoaded = true;
+    for (const chatId of knownChats) {
+      if (changedBeforeLoad.has(chatId) || !storedChatIds.has(chatId)) {
+        persistChat(chatId);
+      }
+    }
+    changedBeforeLoad.clear();
+  }
+
   function registerChat(chatId) {
     ensureChat(chatId);
   }
@@ -60,13 +191,115 @@ function createScheduler(bot, options = {}) {
     if (Object.prototype.hasOwnProperty.call(next, key)) {
       next[key] = Boolean(enabled);
       reminderSettings.set(normalizedChatId, next);
+      persistChat(normalizedChatId);
+    }
+    return { ...next };
+  }
+
+  function getChatLocation(chatId) {
+    const normalizedChatId = normalizeChatId(chatId);
+    return { ...(chatLocations.get(normalizedChatId) || DEFAULT_LOCATION) };
+  }
+
+  function setChatLocation(chatId, location) {
+    const normalizedChatId = ensureChat(chatId);
+    if (normalizedChatId === null || !location?.timezone) {
+      return getChatLocation(chatId);
+    }
+    chatLocations.set(normalizedChatId, { ...location });
+    persistChat(normalizedChatId);
+    return getChatLocation(normalizedChatId);
+  }
+
+  function getSalahPreferences(chatId) {
+    const normalizedChatId = normalizeChatId(chatId);
+    return normalizeSalahPreferences(salahPreferences.get(normalizedChatId));
+  }
+
+  function setSalahPreferences(chatId, patch) {
+    const normalizedChatId = ensureChat(chatId);
+    if (normalizedChatId === null) {
+      return getSalahPreferences(chatId);
+    }
+    const next = normalizeSalahPreferences({
+      ...salahPreferences.get(normalizedChatId),
+      ...patch
+    });
+    salahPreferences.set(normalizedChatId, next);
+    persistChat(normalizedChatId);
+    return { ...next };
+  }
+
+  function getDuaSchedule(chatId) {
+    const normalizedChatId = normalizeChatId(chatId);
+    return normalizeDuaSchedule(duaSchedules.get(normalizedChatId));
+  }
+
+  function getDuaTimezone(chatId) {
+    const normalizedChatId = normalizeChatId(chatId);
+    return (
+      getDuaSchedule(normalizedChatId).timezone ||
+      chatLocations.get(normalizedChatId)?.timezone ||
+      timezone
+    );
+  }
+
+  function setDuaSchedule(chatId, patch) {
+    const normalizedChatId = ensureChat(chatId);
+    if (normalizedChatId === null) {
+      return getDuaSchedule(chatId);
     }
+    const next = normalizeDuaSchedule({
+      ...duaSchedules.get(normalizedChatId),
+      ...patch
+    });
+    duaSchedules.set(normalizedChatId, next);
+    persistChat(normalizedChatId);
     return { ...next };
   }
 
+  async function getSalahTimetable(chatId, timetableOptions = {}) {
+    if (!salahService) {
+      throw new Error("Salah service is not running.");
+    }
+    const normalizedChatId = normalizeChatId(chatId);
+    return salahService.getTimetable(
+      {
+        location: chatLocations.get(normalizedChatId) || DEFAULT_LOCATION,
+        preferences: salahPreferences.get(normalizedChatId)
+      },
+      timetableOptions
+    );
+  }
+
+  function getSalahTargets() {
+    return getChatsForSetting("salah").map((chatId) => ({
+      chatId,
+      location: chatLocations.get(chatId) || DEFAULT_LOCATION,
+      preferences: salahPreferences.get(chatId)
+    }));
+  }
+
   function removeChat(chatId) {
-    knownChats.delete(chatId);
-    reminderSettings.delete(chatId);
+    const normalizedChatId = normalizeChatId(chatId);
+    if (normalizedChatId === null) {
+      return;
+    }
+    knownChats.delete(normalizedChatId);
+    reminderSettings.delete(normalizedChatId);
+    chatLocations.delete(normalizedChatId);
+    salahPreferences.delete(normalizedChatId);
+    duaSchedules.delete(normalizedChatId);
+    persistInBackground(chatStore.delete(normalizedChatId), `removal of chat ${normalizedChatId}`);
+    persistInBackground(
+      rotationStore.forget(normalizedChatId),
+      `rotation of chat ${normalizedChatId}`
+    );
+    // A private chat's id is its user's id, so a blocked bot also ends that user's follows.
+    persistInBackground(
+      followStore.forget(normalizedChatId),
+      `follows of user ${normalizedChatId}`
+    );
   }
 
   function getChatsForSetting(key) {
@@ -98,22 +331,196 @@ function createScheduler(bot, options = {}) {
     });
   }
 
-  async function runScheduledDua(category) {
-    const targets = getChatsForSetting("duas");
-    if (targets.length === 0) {
+  // Each chat draws from its own shuffled deck, then chats that drew the same row share a send.
+  // The deck moves and the rows' Used/LastSent flags are written together before sending.
+  // runKeys maps each chat to the local date of this run; a chat whose deck already carries it
+  // was served by another process and is skipped.
+  async function drawForChats(runKeys, deckKey, rows, getSentRanges) {
+    const chatIds = [...runKeys.keys()];
+    const ids = rows.map(getRotationId);
+    const rowsById = new Map(rows.map((row) => [getRotationId(row), row]));
+    const toSentRanges = (drawnIds) => getSentRanges(drawnIds.map((id) => rowsById.get(id)));
+    let drawn;
+    try {
+      drawn = await rotationStore.drawMany(chatIds, deckKey, ids, {
+        runKey: (chatId) => runKeys.get(Number(chatId)),
+        ranges: toSentRanges
+      });
+    } catch (error) {
+      logError(`Failed to draw from ${deckKey} decks`, error);
+      drawn = new Map(
+        chatIds.map((chatId) => [String(chatId), ids[Math.floor(Math.random() * ids.length)]])
+      );
+      persistInBackground(
+        batchUpdateRanges(toSentRanges([...new Set(drawn.values())])),
+        `sent flags for ${deckKey}`
+      );
+    }
+
+    const chatsById = new Map();
+    for (const chatId of chatIds) {
+      const id = drawn.get(String(chatId));
+      if (!id) {
+        continue;
+      }
+      if (!chatsById.has(id)) {
+        chatsById.set(id, []);
+      }
+      chatsById.get(id).push(chatId);
+    }
+    return [...chatsById].map(([id, targets]) => ({ item: rowsById.get(id), targets }));
+  }
+
+  async function runScheduledDua(category, runKeys) {
+    if (runKeys.size === 0) {
       return;
     }
 
-    const dua = await getRandomDuaByCategory(category);
-    if (!dua) {
+    const duas = await getDuasByCategory(category);
+    if (duas.length === 0) {
       logInfo(`No dua found for category: ${category}`);
       return;
     }
 
-    await sendToChats(targets, formatDuaMessage(dua), {
-      parse_mode: "HTML",
-      disable_web_page_preview: true
-    });
+    const deckKey = `dua:${category.toLowerCase()}`;
+    const picks = await drawForChats(runKeys, deckKey, duas, getDuaSentRanges);
+    for (const pick of picks) {
+      await sendToChats(pick.targets, formatDuaMessage(pick.item), {
+        parse_mode: "HTML",
+        disable_web_page_preview: true
+      });
+    }
+  }
+
+  async function getAnchorClock(chatId) {
+    if (!salahService) {
+      return null;
+    }
+    try {
+      const { now, days } = await getSalahTimetable(chatId);
+      return { now, timings: days[0]?.timings || {} };
+    } catch (error) {
+      logError(`Failed to load prayer times for dua schedule of chat ${chatId}`, error);
+      return null;
+    }
+  }
+
+  function isDuaSlotHandled(dateKey, slotKey) {
+    return dispatchingDuaSlots.has(slotKey) || Boolean(sentDuaSlots.get(dateKey)?.has(slotKey));
+  }
+
+  function markDuaSlotSent(dateKey, slotKey) {
+    if (!sentDuaSlots.has(dateKey)) {
+      sentDuaSlots.set(dateKey, new Set());
+    }
+    sentDuaSlots.get(dateKey).add(slotKey);
+  }
+
+  async function collectDueDuaSlots(date) {
+    const dueBySlot = new Map();
+    for (const chatId of getChatsForSetting("duas")) {
+      const schedule = getDuaSchedule(chatId);
+      const slots = Object.keys(DUA_SCHEDULE_SLOTS).filter(
+        (slot) => schedule[slot] !== DISABLED_SLOT
+      );
+      // Prayer-anchored times follow the salah location's clock, not the chat's dua timezone.
+      const anchorClock = slots.some((slot) => isAnchoredTime(schedule[slot]))
+        ? await getAnchorClock(chatId)
+        : null;
+      const clockNow = getLocalDateParts(date, getDuaTimezone(chatId));
+
+      for (const slot of slots) {
+        const anchored = isAnchoredTime(schedule[slot]);
+        if (anchored && !anchorClock) {
+          continue;
+        }
+        const now = anchored ? anchorClock.now : clockNow;
+        const slotMinutes = resolveDuaTimeMinutes(schedule[slot], anchorClock?.timings);
+        if (slotMinutes === null) {
+          continue;
+        }
+        const elapsed = toMinutes(now.timeKey) - slotMinutes;
+        const slotKey = `${now.dateKey}:${chatId}:${slot}`;
+        // A slot that failed stays due for the next tick of its two-minute window.
+        if (elapsed < 0 || elapsed > 1 || isDuaSlotHandled(now.dateKey, slotKey)) {
+          continue;
+        }
+        if (!dueBySlot.has(slot)) {
+          dueBySlot.set(slot, []);
+        }
+        dueBySlot.get(slot).push({ chatId, dateKey: now.dateKey, slotKey });
+      }
+    }
+    return dueBySlot;
+  }
+
+  function cleanupSentDuaSlots(date) {
+    const oldestDateKey = addDaysToDateKey(date.toISOString().slice(0, 10), -2);
+    for (const dateKey of sentDuaSlots.keys()) {
+      if (dateKey < oldestDateKey) {
+        sentDuaSlots.delete(dateKey);
+      }
+    }
+  }
+
+  async function dispatchFollowedDuas(date) {
+    const dateKeys = new Map();
+    for (const [userId, record] of await followStore.entries()) {
+      // Followers get their daily dua in the private chat, on that chat's dua timezone.
+      const timezone = getDuaTimezone(userId);
+      if (isFollowDue(record, date, timezone)) {
+        dateKeys.set(userId, getLocalDateParts(date, timezone).dateKey);
+      }
+    }
+    if (dateKeys.size === 0) {
+      return;
+    }
+
+    const rows = await getDuaMasterRows();
+    const picked = await followStore.recordDailyPicks(dateKeys, (record) =>
+      pickFollowedDua(rows, record)
+    );
+    for (const [userId, dua] of picked) {
+      try {
+        await bot.sendMessage(userId, formatDuaMessage(toDuaDisplayModel(dua)), {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+          reply_markup: buildSaveKeyboard("dua", dua.id)
+        });
+      } catch (error) {
+        const statusCode = error?.response?.statusCode;
+        if (statusCode === 403 || statusCode === 400) {
+          removeChat(userId);
+        }
+        logError(`Failed to send followed dua to user ${userId}`, error);
+      }
+    }
+  }
+
+  async function dispatchScheduledDuas() {
+    const date = new Date();
+    cleanupSentDuaSlots(date);
+    const dueBySlot = await collectDueDuaSlots(date);
+    for (const [slot, due] of dueBySlot.entries()) {
+      due.forEach((item) => dispatchingDuaSlots.add(item.slotKey));
+      try {
+        await runScheduledDua(
+          DUA_SCHEDULE_SLOTS[slot].category,
+          new Map(due.map((item) => [item.chatId, item.dateKey]))
+        );
+        due.forEach((item) => markDuaSlotSent(item.dateKey, item.slotKey));
+      } catch (error) {
+        logError(`Failed to send ${slot} duas`, error);
+      } finally {
+        due.forEach((item) => dispatchingDuaSlots.delete(item.slotKey));
+      }
+    }
+
+    try {
+      await dispatchFollowedDuas(date);
+    } catch (error) {
+      logError("Failed to send followed duas", error);
+    }
   }
 
   async function runScheduledHadith() {
@@ -129,10 +536,17 @@ function createScheduler(bot, options = {}) {
       return;
     }
 
-    await sendToChats(targets, formatHadithMessage(payload.hadith), {
-      parse_mode: "HTML",
-      disable_web_page_preview: true
-    });
+    const deckKey = `hadith:${payload.theme.toLowerCase()}`;
+    const { dateKey } = getLocalDateParts(new Date(), timezone);
+    const runKeys = new Map(targets.map((chatId) => [chatId, dateKey]));
+    const picks = await drawForChats(runKeys, deckKey, payload.hadiths, getHadithSentRanges);
+    for (const pick of picks) {
+      await sendToChats(pick.targets, formatHadithMessage(pick.item), {
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        reply_markup: buildSaveKeyboard("hadith", pick.item.id)
+      });
+    }
   }
 
   async function runClassReminder() {
@@ -157,26 +571,19 @@ function createScheduler(bot, options = {}) {
     };
   }
 
-  function start() {
+  async function start() {
     if (started) {
       return;
     }
     started = true;
 
+    await loadPersistedChats();
+    if (!started) {
+      return;
+    }
+
     cronJobs.push(
-      cron.schedule("0 7 * * *", withSafeExecution("morning-dua", () => runScheduledDua("Morning")), {
-        timezone
-      })
-    );
-    cronJobs.push(
-      cron.schedule(
-        "30 18 * * *",
-        withSafeExecution("evening-dua", () => runScheduledDua("Evening")),
-        { timezone }
-      )
-    );
-    cronJobs.push(
-      cron.schedule("30 22 * * *", withSafeExecution("sleep-dua", () => runScheduledDua("Sleep")), {
+      cron.schedule("* * * * *", withSafeExecution("dua-dispatcher", dispatchScheduledDuas), {
         timezone
       })
     );
@@ -194,7 +601,7 @@ function createScheduler(bot, options = {}) {
     salahService = createSalahService({
       bot,
       timezone,
-      getTargetChatIds: () => getChatsForSetting("salah")
+      getTargets: getSalahTargets
     });
     salahService.start();
 
@@ -235,6 +642,14 @@ function createScheduler(bot, options = {}) {
     registerChat,
     getReminderStatus,
     setReminderSetting,
+    getChatLocation,
+    setChatLocation,
+    getSalahPreferences,
+    setSalahPreferences,
+    getSalahTimetable,
+    getDuaSchedule,
+    getDuaTimezone,
+    setDuaSchedule,
     getKnownChatCount: () => knownChats.size
   };
 }
@@ -1,9 +1,40 @@
-const { getDuaMasterRows } = require("./sheets");
-const { escapeHtml, normalizeText, tokenizeWords, logDebug } = require("./utils");
-
-const SEARCH_STATE_TTL_MS = 15 * 60 * 1000;
-const stateMap = new Map();
-const QUERY_STOP_WORDS = new Set(["ki", "ka", "ke", "dua", "duaon", "for", "the", "a", "an"]);
+const {
+  getAllHadith,
+  getDuaMasterIndex,
+  getDuaMasterRows,
+  getHadithIndex,
+  setCacheIndexer
+} = require("./sheets");
+const { foldRomanUrdu, foldRomanUrduText } = require("./romanUrdu");
+const { createSearchIndex } = require("./searchIndex");
+const {
+  escapeHtml,
+  normalizeSearchText,
+  normalizeText,
+  tokenizeWords,
+  logDebug
+} = require("./utils");
+
+const DUA_SEARCH_FLOW = "dua_search";
+const HADITH_SEARCH_FLOW = "hadith_search";
+const RESULTS_PAGE_SIZE = 5;
+const DUA_CALLBACK_PREFIX = "dua";
+const HADITH_CALLBACK_PREFIX = "hadith";
+let searchCounter = 0;
+const QUERY_STOP_WORDS = new Set([
+  "ki",
+  "ka",
+  "ke",
+  "dua",
+  "duaon",
+  "for",
+  "the",
+  "a",
+  "an",
+  "se",
+  "دعا",
+  "كي"
+]);
 const QUERY_ALIASES = {
   safar: ["travel", "journey", "trip"],
   travel: ["safar", "journey"],
@@ -25,66 +56,81 @@ const QUERY_ALIASES = {
   khauf: ["fear", "afraid"],
   gussa: ["anger"],
   hifazat: ["protection", "safety"],
-  shifa: ["health", "healing"]
+  shifa: ["health", "healing"],
+  qarz: ["debt", "loan"],
+  karz: ["debt", "loan"],
+  masjid: ["mosque"],
+  ghar: ["home", "house"],
+  nikalne: ["leaving", "leave"],
+  nikalna: ["leaving", "leave"],
+  khana: ["eating", "meal", "food"],
+  iftar: ["breaking", "fast"],
+  roza: ["fast", "fasting"],
+  eating: ["meal", "food"],
+  // Hisnul Muslim titles say "upon completing" where users type "after".
+  after: ["completing"],
+  baad: ["after", "completing"],
+  walidain: ["parents"],
+  والدين: ["parents"]
 };
-
-function makeSessionKey(chatId, userId) {
-  return `${chatId}:${userId || chatId}`;
-}
-
-function beginDuaSearch(chatId, userId) {
-  stateMap.set(makeSessionKey(chatId, userId), {
-    stage: "awaiting_query",
-    options: [],
-    updatedAt: Date.now()
-  });
-}
-
-function setDuaSelectionState(chatId, userId, options) {
-  stateMap.set(makeSessionKey(chatId, userId), {
-    stage: "awaiting_selection",
-    options: Array.isArray(options) ? options : [],
-    updatedAt: Date.now()
-  });
-}
-
-function getDuaSearchState(chatId, userId) {
-  const key = makeSessionKey(chatId, userId);
-  const current = stateMap.get(key);
-  if (!current) {
-    return null;
-  }
-
-  if (Date.now() - current.updatedAt > SEARCH_STATE_TTL_MS) {
-    stateMap.delete(key);
-    return null;
+const FOLDED_QUERY_ALIASES = new Map(
+  Object.entries(QUERY_ALIASES).map(([token, aliases]) => [foldRomanUrdu(token), aliases])
+);
+const SOURCE_BOOKS = {
+  bukhari: ["bukhari", "bukhaari", "bokhari"],
+  muslim: ["muslim"],
+  abudawud: ["abu dawud", "abu dawood", "abu daud", "abudawud"],
+  tirmidhi: ["tirmidhi", "tirmizi", "tirmidi"],
+  nasai: ["nasai", "nasa i", "nisai"],
+  ibnmajah: ["ibn majah", "ibn maja", "ibnmajah"],
+  ahmad: ["ahmad", "musnad ahmad"],
+  quran: ["quran", "qur an", "koran", "surah"]
+};
+const SOURCE_PREFIXES = new Set(["sahih", "sunan", "jami", "imam", "al", "the"]);
+const HISNUL_MUSLIM_PATTERN = /^hisn(?:ul)?(?: (?:al|ul))?(?: muslim)? (?:no |number )?(\d+)$/;
+const NAMED_DUAS = [
+  {
+    names: ["sayyid al istighfar", "sayyidul istighfar", "sayyid ul istighfar", "syed ul istighfar"],
+    sources: [{ book: "bukhari", number: "6306" }],
+    arabic: "انت ربي لا اله الا انت خلقتني وانا عبدك"
+  },
+  {
+    names: ["ayat al kursi", "ayatul kursi", "ayat ul kursi"],
+    sources: [{ book: "quran", number: "2 255" }],
+    arabic: "لا تاخذه سنه ولا نوم"
   }
+];
 
-  return current;
+function createSearchId() {
+  searchCounter = (searchCounter + 1) % 1000000;
+  return `${Date.now().toString(36)}${searchCounter.toString(36)}`;
 }
 
-function clearDuaSearchState(chatId, userId) {
-  stateMap.delete(makeSessionKey(chatId, userId));
+function getPageCount(total) {
+  return Math.max(1, Math.ceil(total / RESULTS_PAGE_SIZE));
 }
 
-function makeTokenSet(text) {
-  return new Set(tokenizeWords(text));
+function clampPage(page, total) {
+  const value = Number.isInteger(page) ? page : 0;
+  return Math.min(Math.max(value, 0), getPageCount(total) - 1);
 }
 
 function buildQueryTokens(queryText) {
-  const normalized = normalizeText(queryText);
+  const normalized = normalizeSearchText(queryText);
   const rawTokens = tokenizeWords(normalized);
   const baseTokens = rawTokens.filter((token) => !QUERY_STOP_WORDS.has(token));
   const rootTokens = baseTokens.length > 0 ? baseTokens : rawTokens;
   const expanded = new Set(rootTokens);
 
   for (const token of rootTokens) {
-    const aliases = QUERY_ALIASES[token];
+    const folded = foldRomanUrdu(token);
+    expanded.add(folded);
+    const aliases = QUERY_ALIASES[token] || FOLDED_QUERY_ALIASES.get(folded);
     if (!aliases) {
       continue;
     }
     for (const alias of aliases) {
-      const aliasNormalized = normalizeText(alias);
+      const aliasNormalized = normalizeSearchText(alias);
       if (aliasNormalized) {
         expanded.add(aliasNormalized);
       }
@@ -94,244 +140,279 @@ function buildQueryTokens(queryText) {
   return [...expanded];
 }
 
-function levenshteinDistance(a, b) {
-  if (a === b) return 0;
-  if (!a) return b.length;
-  if (!b) return a.length;
+const DUA_INDEX_OPTIONS = {
+  fields: [
+    { name: "blob", weight: 4, phraseWeight: 36, get: (dua) => dua.search_blob },
+    {
+      name: "keywords",
+      weight: 11,
+      phraseWeight: 28,
+      get: (dua) =>
+        [dua.keywords_en, dua.keywords_ur, dua.keywords_roman, dua.keywords_ar, dua.tags].join(" ")
+    },
+    {
+      name: "title",
+      weight: 9,
+      phraseWeight: 20,
+      get: (dua) => [dua.chapter_title_en, dua.category].join(" ")
+    },
+    { name: "roman", weight: 10, get: (dua) => dua.keywords_roman, normalize: foldRomanUrduText },
+    { name: "text", weight: 7, get: (dua) => [dua.arabic, dua.english].join(" ") },
+    { name: "raw", weight: 3, phraseWeight: 16, get: (dua) => [dua.raw_text, dua.urdu].join(" ") }
+  ],
+  normalize: normalizeSearchText,
+  coverageWeight: 18,
+  relaxedContainsWeight: 5,
+  relaxedNearWeight: 2.5
+};
+const HADITH_INDEX_OPTIONS = {
+  fields: [
+    { name: "theme", weight: 11, phraseWeight: 28, get: (hadith) => hadith.theme },
+    { name: "english", weight: 7, phraseWeight: 20, get: (hadith) => hadith.english },
+    { name: "urdu", weight: 7, phraseWeight: 16, get: (hadith) => hadith.urdu },
+    { name: "arabic", weight: 7, phraseWeight: 16, get: (hadith) => hadith.arabic },
+    { name: "source", weight: 9, phraseWeight: 20, get: (hadith) => hadith.source }
+  ],
+  normalize: normalizeSearchText,
+  coverageWeight: 18,
+  relaxedContainsWeight: 5,
+  relaxedNearWeight: 2.5
+};
+const indexesByBuilder = new Map();
 
-  const rows = a.length + 1;
-  const cols = b.length + 1;
-  const matrix = Array.from({ length: rows }, () => new Array(cols).fill(0));
+function buildDuaIndex(rows) {
+  return createSearchIndex(rows, DUA_INDEX_OPTIONS);
+}
 
-  for (let i = 0; i < rows; i += 1) matrix[i][0] = i;
-  for (let j = 0; j < cols; j += 1) matrix[0][j] = j;
+function buildHadithIndex(rows) {
+  return createSearchIndex(rows, HADITH_INDEX_OPTIONS);
+}
 
-  for (let i = 1; i < rows; i += 1) {
-    for (let j = 1; j < cols; j += 1) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      matrix[i][j] = Math.min(
-        matrix[i - 1][j] + 1,
-        matrix[i][j - 1] + 1,
-        matrix[i - 1][j - 1] + cost
-      );
-    }
+setCacheIndexer("master", buildDuaIndex);
+setCacheIndexer("hadith", buildHadithIndex);
+
+function getIndexForRows(rows, buildIndex) {
+  if (!indexesByBuilder.has(buildIndex)) {
+    indexesByBuilder.set(buildIndex, new WeakMap());
+  }
+  const indexes = indexesByBuilder.get(buildIndex);
+  if (!indexes.has(rows)) {
+    indexes.set(rows, buildIndex(rows));
   }
+  return indexes.get(rows);
+}
 
-  return matrix[rows - 1][cols - 1];
+function toNameKey(text) {
+  return normalizeText(text).split(" ").map(foldRomanUrdu).join("");
 }
 
-function isNearTokenMatch(queryToken, candidateToken) {
-  if (!queryToken || !candidateToken) {
-    return false;
-  }
+function toSourcePattern({ book, number }) {
+  const aliases = SOURCE_BOOKS[book].join("|");
+  return new RegExp(`(?:^| )(?<!hisn\\w* (?:al )?)(?:${aliases})(?: [a-z]+){0,2} ${number}(?: |$)`);
+}
 
-  if (queryToken === candidateToken) {
-    return true;
+function parseBookReference(normalized) {
+  const words = normalized.split(" ");
+  while (words.length > 0 && SOURCE_PREFIXES.has(words[0])) {
+    words.shift();
   }
-
-  if (candidateToken.startsWith(queryToken) || queryToken.startsWith(candidateToken)) {
-    return true;
+  const rest = words.join(" ");
+  for (const [book, aliases] of Object.entries(SOURCE_BOOKS)) {
+    const match = rest.match(
+      new RegExp(`^(?:${aliases.join("|")}) (?:no |hadith |number )?(\\d+(?: \\d+)?)$`)
+    );
+    if (match) {
+      return { book, number: match[1] };
+    }
   }
+  return null;
+}
 
-  const maxDistance = queryToken.length >= 7 ? 2 : 1;
-  if (Math.abs(queryToken.length - candidateToken.length) > maxDistance) {
-    return false;
+function parseSourceReference(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return null;
   }
 
-  return levenshteinDistance(queryToken, candidateToken) <= maxDistance;
-}
-
-function scoreDua(queryNormalized, queryTokens, dua) {
-  const chapter = normalizeText(dua.chapter_title_en || "");
-  const category = normalizeText(dua.category || "");
-  const arabic = normalizeText(dua.arabic || "");
-  const english = normalizeText(dua.english || "");
-  const rawText = normalizeText(dua.raw_text || "");
-  const keywords = normalizeText(
-    [
-      dua.keywords_en,
-      dua.keywords_ur,
-      dua.keywords_roman,
-      dua.keywords_ar,
-      dua.tags
-    ].join(" ")
-  );
-  const searchBlob = normalizeText(
-    dua.search_blob ||
-      [
-        dua.chapter_title_en,
-        dua.category,
-        dua.english,
-        dua.arabic,
-        dua.keywords_en,
-        dua.keywords_ur,
-        dua.keywords_roman,
-        dua.keywords_ar,
-        dua.tags
-      ].join(" ")
-  );
-
-  const chapterTokens = makeTokenSet(chapter);
-  const categoryTokens = makeTokenSet(category);
-  const arabicTokens = makeTokenSet(arabic);
-  const englishTokens = makeTokenSet(english);
-  const keywordTokens = makeTokenSet(keywords);
-  const blobTokens = makeTokenSet(searchBlob);
-  const rawTokens = makeTokenSet(rawText);
-
-  let score = 0;
+  const hisnMatch = normalized.match(HISNUL_MUSLIM_PATTERN);
+  if (hisnMatch) {
+    return { type: "hisnul", hisnulNumber: String(Number(hisnMatch[1])), patterns: [] };
+  }
 
-  if (searchBlob.includes(queryNormalized)) score += 36;
-  if (keywords.includes(queryNormalized)) score += 28;
-  if (chapter.includes(queryNormalized) || category.includes(queryNormalized)) score += 20;
-  if (rawText.includes(queryNormalized)) score += 16;
+  const book = parseBookReference(normalized);
+  if (book) {
+    return { type: "book", patterns: [toSourcePattern(book)] };
+  }
 
-  let matchedTokens = 0;
-  for (const token of queryTokens) {
-    let tokenMatched = false;
+  const nameKey = toNameKey(normalized);
+  const named = NAMED_DUAS.find((item) => item.names.some((name) => toNameKey(name) === nameKey));
+  if (named) {
+    return {
+      type: "named",
+      patterns: named.sources.map(toSourcePattern),
+      arabic: normalizeSearchText(named.arabic)
+    };
+  }
+  return null;
+}
 
-    if (keywordTokens.has(token)) {
-      score += 11;
-      tokenMatched = true;
-    }
-    if (categoryTokens.has(token) || chapterTokens.has(token)) {
-      score += 9;
-      tokenMatched = true;
-    }
-    if (arabicTokens.has(token) || englishTokens.has(token)) {
-      score += 7;
-      tokenMatched = true;
-    }
-    if (blobTokens.has(token)) {
-      score += 4;
-      tokenMatched = true;
-    }
-    if (rawTokens.has(token)) {
-      score += 3;
-      tokenMatched = true;
-    }
+function getHisnulNumber(dua) {
+  const match = String(dua.source_ref || "").match(/hisnul_number\s*:\s*(\d+)/i);
+  return match ? match[1] : String(getDuaSequence(dua) || "");
+}
 
-    if (tokenMatched) {
-      matchedTokens += 1;
-    }
+function matchesSourceReference(dua, reference) {
+  if (reference.type === "hisnul") {
+    return getHisnulNumber(dua) === reference.hisnulNumber;
   }
-
-  if (queryTokens.length > 0) {
-    score += (matchedTokens / queryTokens.length) * 18;
+  const sourceRef = normalizeText(dua.source_ref || dua.source);
+  if (reference.patterns.some((pattern) => pattern.test(sourceRef))) {
+    return true;
   }
+  return Boolean(reference.arabic) && normalizeSearchText(dua.arabic).includes(reference.arabic);
+}
 
-  return score;
+function rankWithSourceMatches(index, queryNormalized, queryTokens, exact) {
+  const { results, relaxed } = index.search(queryNormalized, queryTokens);
+  logDebug(relaxed ? "RELAXED RESULT COUNT" : "RESULT COUNT", results.length);
+  const exactSet = new Set(exact);
+  return [...exact, ...results.map((item) => item.row).filter((row) => !exactSet.has(row))];
 }
 
 async function searchDuaMaster(queryText, options = {}) {
-  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : 3;
-  const queryNormalized = normalizeText(queryText);
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : Infinity;
+  const queryNormalized = normalizeSearchText(queryText);
   const queryTokens = buildQueryTokens(queryNormalized);
 
   if (!queryNormalized || queryTokens.length === 0) {
     return [];
   }
 
-  const masterRows = await getDuaMasterRows();
-  if (!Array.isArray(masterRows) || masterRows.length === 0) {
+  const index = Array.isArray(options.rows)
+    ? getIndexForRows(options.rows, buildDuaIndex)
+    : await getDuaMasterIndex();
+  if (!index || index.size === 0) {
     return [];
   }
 
   logDebug("QUERY", queryText);
-
-  const scored = [];
-  for (const dua of masterRows) {
-    const score = scoreDua(queryNormalized, queryTokens, dua);
-    if (score <= 0) {
-      continue;
-    }
-    scored.push({ dua, score });
+  const reference = parseSourceReference(queryText);
+  const rows = Array.isArray(options.rows) ? options.rows : await getDuaMasterRows();
+  const exact = reference ? rows.filter((dua) => matchesSourceReference(dua, reference)) : [];
+  if (reference) {
+    logDebug("SOURCE MATCH COUNT", exact.length);
   }
 
-  scored.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return String(a.dua.id).localeCompare(String(b.dua.id));
-  });
+  return rankWithSourceMatches(index, queryNormalized, queryTokens, exact).slice(0, limit);
+}
+
+async function searchHadith(queryText, options = {}) {
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : Infinity;
+  const queryNormalized = normalizeSearchText(queryText);
+  const queryTokens = buildQueryTokens(queryNormalized);
 
-  logDebug("RESULT COUNT", scored.length);
+  if (!queryNormalized || queryTokens.length === 0) {
+    return [];
+  }
 
-  if (scored.length > 0) {
-    return scored.slice(0, limit).map((item) => item.dua);
+  const rows = Array.isArray(options.rows) ? options.rows : await getAllHadith();
+  const index = Array.isArray(options.rows)
+    ? getIndexForRows(options.rows, buildHadithIndex)
+    : await getHadithIndex();
+  if (!index || index.size === 0) {
+    return [];
   }
 
-  const relaxed = [];
-  for (const dua of masterRows) {
-    const haystack = normalizeText(
-      [
-        dua.chapter_title_en,
-        dua.category,
-        dua.arabic,
-        dua.english,
-        dua.urdu,
-        dua.keywords_en,
-        dua.keywords_ur,
-        dua.keywords_roman,
-        dua.keywords_ar,
-        dua.tags,
-        dua.search_blob,
-        dua.raw_text
-      ].join(" ")
-    );
-    if (!haystack) {
-      continue;
-    }
+  logDebug("HADITH QUERY", queryText);
+  const reference = parseSourceReference(queryText);
+  const exact =
+    reference?.type === "book"
+      ? rows.filter((hadith) => matchesSourceReference(hadith, reference))
+      : [];
 
-    const hayTokens = tokenizeWords(haystack);
-    let score = 0;
+  return rankWithSourceMatches(index, queryNormalized, queryTokens, exact).slice(0, limit);
+}
 
-    for (const token of queryTokens) {
-      if (haystack.includes(token)) {
-        score += 5;
-        continue;
-      }
+function parseDuaLookup(text) {
+  const value = String(text || "").trim();
+  const idMatch = value.match(/^(?:id\s+)?(\d+)\s*[_:.-]\s*(\d+)$/i);
+  if (idMatch) {
+    return { type: "id", duaId: `${Number(idMatch[1])}_${Number(idMatch[2])}` };
+  }
+  const chapterMatch = value.match(
+    /^(?:(?:hisn(?:ul)?\s+(?:al[\s-]+)?muslim\s+|hisn(?:ul)?\s+)?(?:chapter|ch)\s*#?\s*)?(\d+)$/i
+  );
+  if (chapterMatch) {
+    return { type: "chapter", chapterId: String(Number(chapterMatch[1])) };
+  }
+  if (/^id(?:\s|$)/i.test(value)) {
+    return { type: "id", duaId: "" };
+  }
+  return null;
+}
 
-      if (hayTokens.some((candidate) => isNearTokenMatch(token, candidate))) {
-        score += 2.5;
-      }
-    }
+function getDuaSequence(dua) {
+  const parts = String(dua.id || "").split("_");
+  return Number(parts[parts.length - 1]) || 0;
+}
 
-    if (score > 0) {
-      relaxed.push({ dua, score });
-    }
+async function findDuaById(duaId) {
+  if (!duaId) {
+    return null;
   }
+  const rows = await getDuaMasterRows();
+  return rows.find((dua) => String(dua.id).trim() === duaId) || null;
+}
 
-  relaxed.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return String(a.dua.id).localeCompare(String(b.dua.id));
-  });
+async function findHadithById(hadithId) {
+  if (!hadithId) {
+    return null;
+  }
+  const rows = await getAllHadith();
+  return rows.find((hadith) => String(hadith.id).trim() === hadithId) || null;
+}
 
-  logDebug("RELAXED RESULT COUNT", relaxed.length);
-  return relaxed.slice(0, limit).map((item) => item.dua);
+async function findDuasByChapter(chapterId) {
+  const rows = await getDuaMasterRows();
+  return rows
+    .filter((dua) => String(dua.chapter_id).trim() === chapterId)
+    .sort((a, b) => getDuaSequence(a) - getDuaSequence(b));
 }
 
-function buildDuaResultsMessage(matches) {
-  const topOptions = matches.slice(0, 3);
-  const numberEmojis = ["1️⃣", "2️⃣", "3️⃣"];
+function toSnippet(value, maxLength) {
+  const snippetSource = String(value || "No text")
+    .replace(/\n+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return snippetSource.length > maxLength
+    ? `${snippetSource.slice(0, maxLength)}…`
+    : snippetSource;
+}
 
-  const rows = topOptions.map((dua, idx) => {
-    const snippetSource = String(dua.arabic || dua.chapter_title_en || dua.english || "No text")
-      .replace(/\n+/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-    const snippet = snippetSource.length > 45 ? `${snippetSource.slice(0, 45)}…` : snippetSource;
-    return `${numberEmojis[idx]} <b>[${escapeHtml(dua.category || "General")}]</b>\n${escapeHtml(snippet || "No text")}`;
-  });
+function buildDuaSnippet(dua, maxLength = 45) {
+  return toSnippet(dua.arabic || dua.chapter_title_en || dua.english, maxLength);
+}
+
+function buildHadithSnippet(hadith, maxLength = 60) {
+  return toSnippet(hadith.english || hadith.arabic || hadith.urdu, maxLength);
+}
+
+function buildResultsMessage({ title, itemLabel, matches, page, formatRow }) {
+  const currentPage = clampPage(page, matches.length);
+  const start = currentPage * RESULTS_PAGE_SIZE;
+  const pageOptions = matches.slice(start, start + RESULTS_PAGE_SIZE);
+  const rows = pageOptions.map((item, idx) => `<b>${start + idx + 1}.</b> ${formatRow(item)}`);
 
   const message = [
-    "🌿 <b>Dua Results</b>",
+    title,
     "━━━━━━━━━━━━━━━━━━",
     "",
-    "🔎 <b>Multiple matches found</b>",
+    `🔎 <b>${matches.length} matches found</b> (page ${currentPage + 1}/${getPageCount(matches.length)})`,
     "",
     ...rows,
     "",
     "━━━━━━━━━━━━━━━━━━",
-    "✍️ Reply with <b>1, 2, or 3</b> to view full dua",
+    `👇 Tap a number to view the full ${itemLabel}`,
     "",
     "❌ Send /cancel to exit"
   ].join("\n");
@@ -339,11 +420,103 @@ function buildDuaResultsMessage(matches) {
   return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
 }
 
+function buildDuaResultsMessage(matches, page = 0) {
+  return buildResultsMessage({
+    title: "🌿 <b>Dua Results</b>",
+    itemLabel: "dua",
+    matches,
+    page,
+    formatRow: (dua) =>
+      `<b>[${escapeHtml(dua.category || "General")}]</b>\n${escapeHtml(buildDuaSnippet(dua) || "No text")}`
+  });
+}
+
+function buildHadithResultsMessage(matches, page = 0) {
+  return buildResultsMessage({
+    title: "📜 <b>Hadith Results</b>",
+    itemLabel: "hadith",
+    matches,
+    page,
+    formatRow: (hadith) =>
+      `<b>[${escapeHtml(hadith.theme || "General")}]</b>\n${escapeHtml(buildHadithSnippet(hadith))}`
+  });
+}
+
+function buildResultsKeyboard(prefix, searchId, total, page = 0) {
+  const currentPage = clampPage(page, total);
+  const start = currentPage * RESULTS_PAGE_SIZE;
+  const end = Math.min(start + RESULTS_PAGE_SIZE, total);
+
+  const pickRow = [];
+  for (let index = start; index < end; index += 1) {
+    pickRow.push({
+      text: String(index + 1),
+      callback_data: `${prefix}:pick:${searchId}:${index}`
+    });
+  }
+
+  const navRow = [];
+  if (currentPage > 0) {
+    navRow.push({
+      text: "‹ Prev",
+      callback_data: `${prefix}:page:${searchId}:${currentPage - 1}`
+    });
+  }
+  if (currentPage < getPageCount(total) - 1) {
+    navRow.push({
+      text: "Next ›",
+      callback_data: `${prefix}:page:${searchId}:${currentPage + 1}`
+    });
+  }
+
+  return { inline_keyboard: navRow.length > 0 ? [pickRow, navRow] : [pickRow] };
+}
+
+function buildDuaResultsKeyboard(searchId, total, page = 0) {
+  return buildResultsKeyboard(DUA_CALLBACK_PREFIX, searchId, total, page);
+}
+
+function buildHadithResultsKeyboard(searchId, total, page = 0) {
+  return buildResultsKeyboard(HADITH_CALLBACK_PREFIX, searchId, total, page);
+}
+
+function parseResultsCallbackData(expectedPrefix, data) {
+  const [prefix, action, searchId, rawValue] = String(data || "").split(":");
+  const value = Number.parseInt(rawValue, 10);
+  if (prefix !== expectedPrefix || !searchId || !Number.isInteger(value)) {
+    return null;
+  }
+  if (action !== "pick" && action !== "page") {
+    return null;
+  }
+  return { action, searchId, value };
+}
+
+function parseDuaCallbackData(data) {
+  return parseResultsCallbackData(DUA_CALLBACK_PREFIX, data);
+}
+
+function parseHadithCallbackData(data) {
+  return parseResultsCallbackData(HADITH_CALLBACK_PREFIX, data);
+}
+
 module.exports = {
-  beginDuaSearch,
-  setDuaSelectionState,
-  getDuaSearchState,
-  clearDuaSearchState,
+  DUA_SEARCH_FLOW,
+  HADITH_SEARCH_FLOW,
+  createSearchId,
+  clampPage,
   searchDuaMaster,
-  buildDuaResultsMessage
+  searchHadith,
+  parseDuaLookup,
+  parseSourceReference,
+  findDuaById,
+  findDuasByChapter,
+  findHadithById,
+  buildDuaSnippet,
+  buildDuaResultsMessage,
+  buildDuaResultsKeyboard,
+  buildHadithResultsMessage,
+  buildHadithResultsKeyboard,
+  parseDuaCallbackData,
+  parseHadithCallbackData
 };
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { HEADERS, createDuaRow } = require("./importMasterDuas");
+const { mapDuaMasterValues } = require("./sheets");
+const { searchDuaMaster } = require("./search");
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, "fixtures", "dua_master_sample.json");
+const DEFAULT_GOLDEN_PATH = path.join(__dirname, "fixtures", "golden_queries.json");
+const TOP_K = 3;
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function loadFixtureRows(filePath = DEFAULT_FIXTURE_PATH) {
+  const { chapters = [] } = readJson(filePath);
+  const values = [HEADERS];
+  for (const chapter of chapters) {
+    for (const dua of chapter.duas || []) {
+      values.push(createDuaRow(chapter, dua));
+    }
+  }
+  return mapDuaMasterValues(values);
+}
+
+function loadGoldenQueries(filePath = DEFAULT_GOLDEN_PATH) {
+  const { queries = [] } = readJson(filePath);
+  return queries
+    .filter((item) => item.query && (Array.isArray(item.relevant) || Array.isArray(item.excluded)))
+    .map((item) => ({ ...item, relevant: item.relevant || [], excluded: item.excluded || [] }));
+}
+
+function evaluateRanking(rankedIds, relevantIds, k = TOP_K, excludedIds = []) {
+  const relevant = new Set(relevantIds);
+  const excluded = new Set(excludedIds);
+  const hits = rankedIds.slice(0, k).filter((id) => relevant.has(id)).length;
+  const firstHit = rankedIds.findIndex((id) => relevant.has(id));
+  return {
+    precision: relevant.size > 0 ? hits / Math.min(k, relevant.size) : 0,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    firstRelevantRank: firstHit === -1 ? null : firstHit + 1,
+    excludedHits: rankedIds.slice(0, k).filter((id) => excluded.has(id))
+  };
+}
+
+async function evaluateSearch({ rows, queries, k = TOP_K }) {
+  const results = [];
+  for (const item of queries) {
+    const matches = await searchDuaMaster(item.query, { rows });
+    const rankedIds = matches.map((dua) => String(dua.id));
+    results.push({
+      query: item.query,
+      relevant: item.relevant,
+      top: rankedIds.slice(0, k),
+      total: rankedIds.length,
+      ...evaluateRanking(rankedIds, item.relevant, k, item.excluded)
+    });
+  }
+
+  // Queries that only list excluded ids guard against false matches and stay out of the means.
+  const ranked = results.filter((item) => item.relevant.length > 0);
+  const count = ranked.length || 1;
+  return {
+    results,
+    meanPrecision: ranked.reduce((sum, item) => sum + item.precision, 0) / count,
+    meanReciprocalRank: ranked.reduce((sum, item) => sum + item.reciprocalRank, 0) / count,
+    excludedHits: results.reduce((sum, item) => sum + item.excludedHits.length, 0)
+  };
+}
+
+function parseArgs(argv) {
+  const args = { verbose: false, minMrr: null, fixture: undefined, golden: undefined };
+  for (const arg of argv) {
+    const [flag, value] = arg.split("=");
+    if (flag === "--verbose" || flag === "-v") args.verbose = true;
+    if (flag === "--min-mrr") args.minMrr = Number(value);
+    if (flag === "--fixture") args.fixture = path.resolve(value);
+    if (flag === "--golden") args.golden = path.resolve(value);
+  }
+  return args;
+}
+
+function printReport(report, { verbose }) {
+  const width = Math.max(...report.results.map((item) => item.query.length), 5);
+  console.log(`${"Query".padEnd(width)}  P@${TOP_K}   RR     First  Top ${TOP_K}`);
+  for (const item of report.results) {
+    const missed = item.relevant.length > 0 && item.reciprocalRank < 1;
+    const marker = item.excludedHits.length > 0 ? "  !" : missed ? "  <" : "";
+    console.log(
+      [
+        item.query.padEnd(width),
+        item.precision.toFixed(2).padStart(5),
+        item.reciprocalRank.toFixed(2).padStart(5),
+        String(item.firstRelevantRank ?? "-").padStart(5),
+        ` ${item.top.join(", ")}${marker}`
+      ].join("  ")
+    );
+    if (verbose && missed) {
+      console.log(`${"".padEnd(width)}  expected: ${item.relevant.join(", ")} (${item.total} results)`);
+    }
+    if (item.excludedHits.length > 0) {
+      console.log(`${"".padEnd(width)}  excluded: ${item.excludedHits.join(", ")}`);
+    }
+  }
+  console.log("");
+  console.log(`Queries: ${report.results.length}`);
+  console.log(`Mean P@${TOP_K}: ${report.meanPrecision.toFixed(3)}`);
+  console.log(`MRR:      ${report.meanReciprocalRank.toFixed(3)}`);
+  console.log(`Excluded ids in top ${TOP_K}: ${report.excludedHits}`);
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await evaluateSearch({
+    rows: loadFixtureRows(args.fixture),
+    queries: loadGoldenQueries(args.golden)
+  });
+  printReport(report, args);
+
+  if (Number.isFinite(args.minMrr) && report.meanReciprocalRank < args.minMrr) {
+    console.error(`MRR ${report.meanReciprocalRank.toFixed(3)} is below --min-mrr=${args.minMrr}`);
+    process.exitCode = 1;
+  }
+  if (report.excludedHits > 0) {
+    console.error(`${report.excludedHits} excluded id(s) ranked in the top ${TOP_K}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  run().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  evaluateRanking,
+  evaluateSearch,
+  loadFixtureRows,
+  loadGoldenQueries
+};
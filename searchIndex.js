@@ -0,0 +1,269 @@
+const { normalizeText, tokenizeWords } = require("./utils");
+
+const SHORT_TOKEN_LENGTH = 3;
+
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (!a) return b.length;
+  if (!b) return a.length;
+
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const matrix = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i += 1) matrix[i][0] = i;
+  for (let j = 0; j < cols; j += 1) matrix[0][j] = j;
+
+  for (let i = 1; i < rows; i += 1) {
+    for (let j = 1; j < cols; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      matrix[i][j] = Math.min(
+        matrix[i - 1][j] + 1,
+        matrix[i][j - 1] + 1,
+        matrix[i - 1][j - 1] + cost
+      );
+    }
+  }
+
+  return matrix[rows - 1][cols - 1];
+}
+
+function isNearTokenMatch(queryToken, candidateToken) {
+  if (!queryToken || !candidateToken) {
+    return false;
+  }
+
+  if (queryToken === candidateToken) {
+    return true;
+  }
+
+  if (candidateToken.startsWith(queryToken) || queryToken.startsWith(candidateToken)) {
+    return true;
+  }
+
+  const maxDistance = queryToken.length >= 7 ? 2 : 1;
+  if (Math.abs(queryToken.length - candidateToken.length) > maxDistance) {
+    return false;
+  }
+
+  return levenshteinDistance(queryToken, candidateToken) <= maxDistance;
+}
+
+function toTrigrams(token) {
+  const padded = ` ${token} `;
+  const grams = new Set();
+  for (let i = 0; i <= padded.length - 3; i += 1) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+class SearchIndex {
+  constructor({
+    fields,
+    getId = (row) => row.id,
+    normalize = normalizeText,
+    coverageWeight = 0,
+    relaxedContainsWeight = 0,
+    relaxedNearWeight = 0
+  }) {
+    this.fields = fields;
+    this.getId = getId;
+    this.normalize = normalize;
+    this.coverageWeight = coverageWeight;
+    this.relaxedContainsWeight = relaxedContainsWeight;
+    this.relaxedNearWeight = relaxedNearWeight;
+    this.docs = [];
+    this.postings = new Map();
+    this.trigrams = new Map();
+    this.shortTokenCache = new Map();
+  }
+
+  build(rows) {
+    this.docs = rows.map((row, docId) => {
+      const texts = {};
+      for (const field of this.fields) {
+        texts[field.name] = (field.normalize || this.normalize)(field.get(row));
+        for (const token of texts[field.name].split(" ").filter(Boolean)) {
+          this.addPosting(token, docId, field.name);
+        }
+      }
+      return { row, id: String(this.getId(row) ?? ""), texts };
+    });
+
+    for (const token of this.postings.keys()) {
+      for (const gram of toTrigrams(token)) {
+        if (!this.trigrams.has(gram)) {
+          this.trigrams.set(gram, new Set());
+        }
+        this.trigrams.get(gram).add(token);
+      }
+    }
+    return this;
+  }
+
+  addPosting(token, docId, fieldName) {
+    if (!this.postings.has(token)) {
+      this.postings.set(token, new Map());
+    }
+    const docs = this.postings.get(token);
+    if (!docs.has(docId)) {
+      docs.set(docId, new Set());
+    }
+    docs.get(docId).add(fieldName);
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  scanVocabulary(fragment, predicate) {
+    const cacheKey = `${predicate.name}:${fragment}`;
+    if (!this.shortTokenCache.has(cacheKey)) {
+      const tokens = [...this.postings.keys()].filter((token) => predicate(fragment, token));
+      this.shortTokenCache.set(cacheKey, tokens);
+    }
+    return this.shortTokenCache.get(cacheKey);
+  }
+
+  findTokensContaining(fragment) {
+    if (fragment.length < SHORT_TOKEN_LENGTH) {
+      return this.scanVocabulary(fragment, function contains(part, token) {
+        return token.includes(part);
+      });
+    }
+
+    let candidates = null;
+    for (const gram of toTrigrams(fragment)) {
+      // Edge trigrams carry padding, so only inner ones must appear in a containing token.
+      if (gram.startsWith(" ") || gram.endsWith(" ")) {
+        continue;
+      }
+      const tokens = this.trigrams.get(gram);
+      if (!tokens) {
+        return [];
+      }
+      candidates = candidates
+        ? new Set([...candidates].filter((token) => tokens.has(token)))
+        : new Set(tokens);
+    }
+    return [...(candidates || [])].filter((token) => token.includes(fragment));
+  }
+
+  findNearTokens(token) {
+    if (token.length <= SHORT_TOKEN_LENGTH) {
+      return this.scanVocabulary(token, isNearTokenMatch);
+    }
+
+    const candidates = new Set();
+    for (const gram of toTrigrams(token)) {
+      for (const candidate of this.trigrams.get(gram) || []) {
+        candidates.add(candidate);
+      }
+    }
+    return [...candidates].filter((candidate) => isNearTokenMatch(token, candidate));
+  }
+
+  collectDocs(tokens) {
+    const docIds = new Set();
+    for (const token of tokens) {
+      for (const docId of this.postings.get(token)?.keys() || []) {
+        docIds.add(docId);
+      }
+    }
+    return docIds;
+  }
+
+  scoreStrict(queryNormalized, queryTokens) {
+    const weights = new Map(this.fields.map((field) => [field.name, field.weight || 0]));
+    const scores = new Map();
+    const matchedCounts = new Map();
+
+    for (const token of new Set(queryTokens)) {
+      for (const [docId, fieldNames] of this.postings.get(token) || []) {
+        let tokenScore = 0;
+        for (const fieldName of fieldNames) {
+          tokenScore += weights.get(fieldName);
+        }
+        scores.set(docId, (scores.get(docId) || 0) + tokenScore);
+        matchedCounts.set(docId, (matchedCounts.get(docId) || 0) + 1);
+      }
+    }
+
+    const phraseFields = this.fields.filter((field) => field.phraseWeight);
+    const [firstWord] = queryNormalized.split(" ");
+    const phraseCandidates = firstWord
+      ? this.collectDocs(this.findTokensContaining(firstWord))
+      : new Set();
+    for (const docId of phraseCandidates) {
+      const doc = this.docs[docId];
+      let phraseScore = 0;
+      for (const field of phraseFields) {
+        if (doc.texts[field.name].includes(queryNormalized)) {
+          phraseScore += field.phraseWeight;
+        }
+      }
+      if (phraseScore > 0) {
+        scores.set(docId, (scores.get(docId) || 0) + phraseScore);
+      }
+    }
+
+    const tokenCount = new Set(queryTokens).size;
+    const scored = [];
+    for (const [docId, score] of scores) {
+      const coverage = tokenCount > 0 ? (matchedCounts.get(docId) || 0) / tokenCount : 0;
+      const total = score + coverage * this.coverageWeight;
+      if (total > 0) {
+        scored.push({ docId, score: total });
+      }
+    }
+    return scored;
+  }
+
+  scoreRelaxed(queryTokens) {
+    const scores = new Map();
+    for (const token of queryTokens) {
+      const containing = this.collectDocs(this.findTokensContaining(token));
+      for (const docId of containing) {
+        scores.set(docId, (scores.get(docId) || 0) + this.relaxedContainsWeight);
+      }
+      for (const docId of this.collectDocs(this.findNearTokens(token))) {
+        if (!containing.has(docId)) {
+          scores.set(docId, (scores.get(docId) || 0) + this.relaxedNearWeight);
+        }
+      }
+    }
+    return [...scores].map(([docId, score]) => ({ docId, score }));
+  }
+
+  rank(scored) {
+    return scored
+      .sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return this.docs[a.docId].id.localeCompare(this.docs[b.docId].id);
+      })
+      .map(({ docId, score }) => ({ row: this.docs[docId].row, score }));
+  }
+
+  search(queryText, queryTokens = tokenizeWords(this.normalize(queryText))) {
+    const queryNormalized = this.normalize(queryText);
+    if (!queryNormalized || queryTokens.length === 0) {
+      return { results: [], relaxed: false };
+    }
+
+    const strict = this.scoreStrict(queryNormalized, queryTokens);
+    if (strict.length > 0) {
+      return { results: this.rank(strict), relaxed: false };
+    }
+    return { results: this.rank(this.scoreRelaxed(queryTokens)), relaxed: true };
+  }
+}
+
+function createSearchIndex(rows, options) {
+  return new SearchIndex(options).build(Array.isArray(rows) ? rows : []);
+}
+
+module.exports = {
+  createSearchIndex,
+  isNearTokenMatch
+};
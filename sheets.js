@@ -1,19 +1,20 @@
-const { google } = require("googleapis");
-const { getGoogleAuth } = require("./googleAuth");
-const { normalizeText, parseUsedFlag, nowIso } = require("./utils");
+const { getSheetsClient, isGoogleUnavailable } = require("./googleClient");
+const { normalizeText, parseUsedFlag, nowIso, logDebug, logError } = require("./utils");
 
 const DUA_SHEET = "Duas_50";
 const HADITH_SHEET = "Hadith_300";
 const DUA_MASTER_SHEET = "DUA_MASTER";
+const KEY_VALUE_HEADERS = ["key", "value", "updated_at"];
 
 const CACHE_TTL_MS = 30 * 1000;
 
-let sheetsClientPromise;
+let sheetIdsPromise;
 const cache = {
-  duas: { data: null, expiresAt: 0 },
-  hadith: { data: null, expiresAt: 0 },
-  master: { data: null, expiresAt: 0 }
+  duas: { data: null, index: null, expiresAt: 0 },
+  hadith: { data: null, index: null, expiresAt: 0 },
+  master: { data: null, index: null, expiresAt: 0 }
 };
+const cacheIndexers = {};
 
 function getSpreadsheetId() {
   const spreadsheetId = process.env.SPREADSHEET_ID;
@@ -23,25 +24,57 @@ function getSpreadsheetId() {
   return spreadsheetId;
 }
 
-async function getSheetsClient() {
-  if (!sheetsClientPromise) {
-    sheetsClientPromise = (async () => {
-      const auth = getGoogleAuth();
-      const authClient = await auth.getClient();
-      return google.sheets({
-        version: "v4",
-        auth: authClient
-      });
-    })();
+function setCacheIndexer(cacheName, buildIndex) {
+  cacheIndexers[cacheName] = buildIndex;
+  cache[cacheName].index = null;
+}
+
+function storeInCache(cacheName, data) {
+  const buildIndex = cacheIndexers[cacheName];
+  const previous = cache[cacheName];
+  // Rebuilding an index costs far more than comparing snapshots, so unchanged sheets keep theirs.
+  const signature = buildIndex ? JSON.stringify(data) : null;
+  const index =
+    buildIndex && previous.index && previous.signature === signature
+      ? previous.index
+      : buildIndex?.(data) || null;
+  cache[cacheName] = {
+    data,
+    index,
+    signature,
+    expiresAt: Date.now() + CACHE_TTL_MS
+  };
+  return data;
+}
+
+// While Google is failing, the last rows read keep reminders and search going.
+async function readThroughCache(cacheName, options, load) {
+  const entry = cache[cacheName];
+  if (options.forceRefresh !== true && entry.data && Date.now() < entry.expiresAt) {
+    return entry.data;
   }
 
-  return sheetsClientPromise;
+  try {
+    return storeInCache(cacheName, await load());
+  } catch (error) {
+    if (!entry.data) {
+      throw error;
+    }
+    if (isGoogleUnavailable(error)) {
+      logDebug(`Serving cached ${cacheName} rows while Google Sheets is unavailable`);
+    } else {
+      logError(`Failed to refresh ${cacheName} rows; serving the cached copy`, error);
+    }
+    return entry.data;
+  }
 }
 
-function invalidateCache() {
-  cache.duas.expiresAt = 0;
-  cache.hadith.expiresAt = 0;
-  cache.master.expiresAt = 0;
+function getCachedIndex(cacheName) {
+  const entry = cache[cacheName];
+  if (!entry.index && entry.data && cacheIndexers[cacheName]) {
+    entry.index = cacheIndexers[cacheName](entry.data);
+  }
+  return entry.index;
 }
 
 async function getValues(range) {
@@ -249,48 +282,22 @@ function hasMasterData(row) {
   );
 }
 
-async function getAllDuas(options = {}) {
-  const forceRefresh = options.forceRefresh === true;
-  if (!forceRefresh && cache.duas.data && Date.now() < cache.duas.expiresAt) {
-    return cache.duas.data;
-  }
-
-  const rows = await getValues(`${DUA_SHEET}!A2:I`);
-  const mapped = rows.map(mapDuaRow);
-  cache.duas = {
-    data: mapped,
-    expiresAt: Date.now() + CACHE_TTL_MS
-  };
-  return mapped;
+function getAllDuas(options = {}) {
+  return readThroughCache("duas", options, async () => {
+    const rows = await getValues(`${DUA_SHEET}!A2:I`);
+    return rows.map(mapDuaRow);
+  });
 }
 
-async function getAllHadith(options = {}) {
-  const forceRefresh = options.forceRefresh === true;
-  if (!forceRefresh && cache.hadith.data && Date.now() < cache.hadith.expiresAt) {
-    return cache.hadith.data;
-  }
-
-  const rows = await getValues(`${HADITH_SHEET}!A2:I`);
-  const mapped = rows.map(mapHadithRow);
-  cache.hadith = {
-    data: mapped,
-    expiresAt: Date.now() + CACHE_TTL_MS
-  };
-  return mapped;
+function getAllHadith(options = {}) {
+  return readThroughCache("hadith", options, async () => {
+    const rows = await getValues(`${HADITH_SHEET}!A2:I`);
+    return rows.map(mapHadithRow);
+  });
 }
 
-async function getDuaMasterRows(options = {}) {
-  const forceRefresh = options.forceRefresh === true;
-  if (!forceRefresh && cache.master.data && Date.now() < cache.master.expiresAt) {
-    return cache.master.data;
-  }
-
-  const rows = await getValues(`${DUA_MASTER_SHEET}!A1:O`);
-  if (rows.length === 0) {
-    cache.master = {
-      data: [],
-      expiresAt: Date.now() + CACHE_TTL_MS
-    };
+function mapDuaMasterValues(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
     return [];
   }
 
@@ -319,14 +326,25 @@ async function getDuaMasterRows(options = {}) {
   } else {
     mapped = rows.map((row, idx) => mapMasterDuaRow(row, idx)).filter(hasMasterData);
   }
-
-  cache.master = {
-    data: mapped,
-    expiresAt: Date.now() + CACHE_TTL_MS
-  };
   return mapped;
 }
 
+function getDuaMasterRows(options = {}) {
+  return readThroughCache("master", options, async () =>
+    mapDuaMasterValues(await getValues(`${DUA_MASTER_SHEET}!A1:O`))
+  );
+}
+
+async function getDuaMasterIndex(options = {}) {
+  await getDuaMasterRows(options);
+  return getCachedIndex("master");
+}
+
+async function getHadithIndex(options = {}) {
+  await getAllHadith(options);
+  return getCachedIndex("hadith");
+}
+
 async function batchUpdateRanges(data) {
   if (!Array.isArray(data) || data.length === 0) {
     return;
@@ -341,65 +359,295 @@ async function batchUpdateRanges(data) {
   });
 }
 
-async function resetUsedForRows(sheetName, rows) {
-  const payload = rows.map((rowNumber) => ({
-    range: `${sheetName}!H${rowNumber}:H${rowNumber}`,
-    values: [["FALSE"]]
+async function getSheetIds() {
+  if (!sheetIdsPromise) {
+    sheetIdsPromise = (async () => {
+      const sheets = await getSheetsClient();
+      const meta = await sheets.spreadsheets.get({
+        spreadsheetId: getSpreadsheetId(),
+        fields: "sheets(properties(sheetId,title))"
+      });
+      const properties = (meta.data.sheets || []).map((sheet) => sheet.properties || {});
+      return new Map(properties.map(({ title, sheetId }) => [title, sheetId]));
+    })().catch((error) => {
+      sheetIdsPromise = null;
+      throw error;
+    });
+  }
+  return sheetIdsPromise;
+}
+
+async function getSheetId(sheetName) {
+  const sheetId = (await getSheetIds()).get(sheetName);
+  if (!Number.isInteger(sheetId)) {
+    throw new Error(`Sheet ${sheetName} was not found.`);
+  }
+  return sheetId;
+}
+
+function toColumnIndex(letters) {
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function toCellData(value) {
+  if (typeof value === "boolean") {
+    return { userEnteredValue: { boolValue: value } };
+  }
+  if (typeof value === "number") {
+    return { userEnteredValue: { numberValue: value } };
+  }
+  return { userEnteredValue: { stringValue: String(value ?? "") } };
+}
+
+async function toUpdateCellsRequest({ range, values }) {
+  const match = String(range || "").match(/^(.+)!([A-Z]+)(\d+)/);
+  if (!match) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+  return {
+    updateCells: {
+      start: {
+        sheetId: await getSheetId(match[1]),
+        rowIndex: Number(match[3]) - 1,
+        columnIndex: toColumnIndex(match[2])
+      },
+      rows: values.map((row) => ({ values: row.map(toCellData) })),
+      fields: "userEnteredValue"
+    }
+  };
+}
+
+// Used/LastSent only record that a row went out and when; picking is per chat (rotation.js).
+function buildSentRanges(sheetName, rows) {
+  const sentAt = nowIso();
+  const rowNumbers = [...new Set(rows.map((row) => row?.rowNumber))].filter(Boolean);
+  return rowNumbers.map((rowNumber) => ({
+    range: `${sheetName}!H${rowNumber}:I${rowNumber}`,
+    values: [[true, sentAt]]
   }));
-  await batchUpdateRanges(payload);
-  invalidateCache();
 }
 
-async function markRowUsed(sheetName, rowNumber) {
+function getDuaSentRanges(duas) {
+  return buildSentRanges(DUA_SHEET, duas);
+}
+
+function getHadithSentRanges(hadiths) {
+  return buildSentRanges(HADITH_SHEET, hadiths);
+}
+
+async function ensureKeyValueSheet(sheetName) {
+  if ((await getSheetIds()).has(sheetName)) {
+    return;
+  }
+
   const sheets = await getSheetsClient();
+  const spreadsheetId = getSpreadsheetId();
+  try {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }]
+      }
+    });
+  } catch (error) {
+    // The sheet may have been added before the response was lost, or by another process.
+    sheetIdsPromise = null;
+    if (!(await getSheetIds()).has(sheetName)) {
+      throw error;
+    }
+  }
+  sheetIdsPromise = null;
   await sheets.spreadsheets.values.update({
-    spreadsheetId: getSpreadsheetId(),
-    range: `${sheetName}!H${rowNumber}:I${rowNumber}`,
-    valueInputOption: "USER_ENTERED",
+    spreadsheetId,
+    range: `${sheetName}!A1:C1`,
+    valueInputOption: "RAW",
     requestBody: {
-      values: [["TRUE", nowIso()]]
+      values: [KEY_VALUE_HEADERS]
     }
   });
-  invalidateCache();
 }
 
-function pickRandom(list) {
-  if (!Array.isArray(list) || list.length === 0) {
+function parseStoredValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
     return null;
   }
-  return list[Math.floor(Math.random() * list.length)];
 }
 
-async function getRandomDuaByCategory(category) {
-  const normalizedCategory = String(category || "")
-    .trim()
-    .toLowerCase();
+// Rows whose value was cleared keep their key, so the row is reused if the key comes back.
+function mapKeyValueRows(rows) {
+  const mapped = [];
+  rows.forEach((row, idx) => {
+    const key = String(row[0] || "").trim();
+    if (!key) {
+      return;
+    }
+    mapped.push({
+      rowNumber: idx + 2,
+      key,
+      value: parseStoredValue(row[1] || ""),
+      updatedAt: row[2] || ""
+    });
+  });
+  return mapped;
+}
 
-  const allDuas = await getAllDuas({ forceRefresh: true });
-  const duasForCategory = allDuas.filter(
-    (dua) => String(dua.category || "").trim().toLowerCase() === normalizedCategory
+// A key-value sheet's version lives in a named range with a predictable id. Each commit deletes
+// the current id and adds the next one in the same batch, so Sheets rejects the whole batch
+// when another writer has moved the version on in the meantime.
+function toVersionId(sheetName, version) {
+  return `${sheetName}_v${version}`;
+}
+
+async function readKeyValueVersion(sheetName) {
+  const sheets = await getSheetsClient();
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId: getSpreadsheetId(),
+    fields: "namedRanges(namedRangeId,name)"
+  });
+  const prefix = toVersionId(sheetName, "");
+  let current = null;
+  for (const range of meta.data.namedRanges || []) {
+    const id = String(range.namedRangeId || "");
+    const version = id.startsWith(prefix) ? Number(id.slice(prefix.length)) : NaN;
+    if (Number.isInteger(version) && (!current || version > current.version)) {
+      current = { version, name: range.name };
+    }
+  }
+  return current;
+}
+
+function buildVersionRequest(sheetId, sheetName, version) {
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  return {
+    addNamedRange: {
+      namedRange: {
+        namedRangeId: toVersionId(sheetName, version),
+        name: `${toVersionId(sheetName, version)}_${token}`,
+        range: { sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 1 }
+      }
+    }
+  };
+}
+
+async function initKeyValueVersion(sheetName) {
+  const sheets = await getSheetsClient();
+  try {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: getSpreadsheetId(),
+      requestBody: { requests: [buildVersionRequest(await getSheetId(sheetName), sheetName, 0)] }
+    });
+  } catch (error) {
+    // Another process may have created it first; the re-read below settles it.
+  }
+  return readKeyValueVersion(sheetName);
+}
+
+// The version is read before the rows, so rows written after that read make the next commit fail.
+async function readKeyValueSheet(sheetName) {
+  const version =
+    (await readKeyValueVersion(sheetName)) || (await initKeyValueVersion(sheetName));
+  if (!version) {
+    throw new Error(`Could not create the version marker of ${sheetName}.`);
+  }
+  const rows = await getValues(`${sheetName}!A2:C`);
+  return { rows: mapKeyValueRows(rows), version: version.version };
+}
+
+function findKeyRows(updatedSpreadsheet, sheetName, keys) {
+  const wanted = new Set(keys);
+  const rowNumbers = new Map();
+  const sheet = (updatedSpreadsheet?.sheets || []).find(
+    (item) => item.properties?.title === sheetName
   );
+  for (const grid of sheet?.data || []) {
+    (grid.rowData || []).forEach((row, idx) => {
+      const key = String(row.values?.[0]?.formattedValue || "").trim();
+      if (wanted.has(key)) {
+        rowNumbers.set(key, (grid.startRow || 0) + idx + 1);
+      }
+    });
+  }
+  return rowNumbers;
+}
 
-  if (duasForCategory.length === 0) {
-    return null;
+// writes: { key, text, rowNumber } with rowNumber null for new keys; text "" clears a value.
+// ranges are extra A1 cell writes that must land only if the rows do.
+async function commitKeyValueRows(sheetName, version, writes, ranges = []) {
+  const sheets = await getSheetsClient();
+  const spreadsheetId = getSpreadsheetId();
+  const sheetId = await getSheetId(sheetName);
+  const updatedAt = nowIso();
+  const nextVersion = buildVersionRequest(sheetId, sheetName, version + 1);
+  const toRow = (write) => ({ values: [write.key, write.text, updatedAt].map(toCellData) });
+  const existing = writes.filter((write) => write.rowNumber);
+  const added = writes.filter((write) => !write.rowNumber);
+
+  const requests = [
+    { deleteNamedRange: { namedRangeId: toVersionId(sheetName, version) } },
+    nextVersion,
+    ...existing.map((write) => ({
+      updateCells: {
+        start: { sheetId, rowIndex: write.rowNumber - 1, columnIndex: 0 },
+        rows: [toRow(write)],
+        fields: "userEnteredValue"
+      }
+    })),
+    ...(await Promise.all(ranges.map(toUpdateCellsRequest)))
+  ];
+  if (added.length > 0) {
+    requests.push({ appendCells: { sheetId, rows: added.map(toRow), fields: "userEnteredValue" } });
   }
 
-  let pool = duasForCategory.filter((dua) => !dua.used);
-  if (pool.length === 0) {
-    await resetUsedForRows(
-      DUA_SHEET,
-      duasForCategory.map((dua) => dua.rowNumber)
-    );
-    pool = [...duasForCategory];
+  let response;
+  try {
+    response = await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests,
+        includeSpreadsheetInResponse: added.length > 0,
+        responseRanges: added.length > 0 ? [`${sheetName}!A:A`] : undefined,
+        responseIncludeGridData: added.length > 0
+      }
+    });
+  } catch (error) {
+    // Rejected, or lost on the way back: the version left behind tells which.
+    // Row numbers of appended keys are unknown then, so the caller has to re-read them.
+    const current = await readKeyValueVersion(sheetName).catch(() => null);
+    if (current?.name === nextVersion.addNamedRange.namedRange.name) {
+      return { committed: true, version: version + 1, rowNumbers: null };
+    }
+    if (current && current.version !== version) {
+      return { committed: false };
+    }
+    throw error;
   }
 
-  const selected = pickRandom(pool);
-  if (!selected) {
-    return null;
+  const rowNumbers = findKeyRows(
+    response.data?.updatedSpreadsheet,
+    sheetName,
+    added.map((write) => write.key)
+  );
+  for (const write of existing) {
+    rowNumbers.set(write.key, write.rowNumber);
   }
+  return { committed: true, version: version + 1, rowNumbers };
+}
 
-  await markRowUsed(DUA_SHEET, selected.rowNumber);
-  return selected;
+function getRotationId(row) {
+  return String(row.id || "").trim() || `row${row.rowNumber}`;
+}
+
+async function getDuasByCategory(category) {
+  const normalizedCategory = String(category || "")
+    .trim()
+    .toLowerCase();
+
+  const allDuas = await getAllDuas();
+  return allDuas.filter(
+    (dua) => String(dua.category || "").trim().toLowerCase() === normalizedCategory
+  );
 }
 
 function isSahih(authenticity) {
@@ -421,7 +669,7 @@ function buildThemeList(hadiths) {
 }
 
 async function getSahihHadithForWeekday(weekdayIndex) {
-  const allHadith = await getAllHadith({ forceRefresh: true });
+  const allHadith = await getAllHadith();
   const sahihHadith = allHadith.filter((item) => isSahih(item.authenticity));
 
   if (sahihHadith.length === 0) {
@@ -443,23 +691,7 @@ async function getSahihHadithForWeekday(weekdayIndex) {
   if (themeHadith.length === 0) {
     return null;
   }
-
-  let pool = themeHadith.filter((item) => !item.used);
-  if (pool.length === 0) {
-    await resetUsedForRows(
-      HADITH_SHEET,
-      themeHadith.map((item) => item.rowNumber)
-    );
-    pool = [...themeHadith];
-  }
-
-  const selected = pickRandom(pool);
-  if (!selected) {
-    return null;
-  }
-
-  await markRowUsed(HADITH_SHEET, selected.rowNumber);
-  return { hadith: selected, theme: selectedTheme };
+  return { theme: selectedTheme, hadiths: themeHadith };
 }
 
 module.exports = {
@@ -469,6 +701,17 @@ module.exports = {
   getAllDuas,
   getAllHadith,
   getDuaMasterRows,
-  getRandomDuaByCategory,
-  getSahihHadithForWeekday
+  mapDuaMasterValues,
+  getDuaMasterIndex,
+  getHadithIndex,
+  setCacheIndexer,
+  getRotationId,
+  getDuasByCategory,
+  getSahihHadithForWeekday,
+  getDuaSentRanges,
+  getHadithSentRanges,
+  batchUpdateRanges,
+  ensureKeyValueSheet,
+  readKeyValueSheet,
+  commitKeyValueRows
 };
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  ensureKeyValueSheet,
+  readKeyValueSheet,
+  commitKeyValueRows,
+  batchUpdateRanges
+} = require("./sheets");
+const { logError } = require("./utils");
+
+const STORE_BACKENDS = ["json", "sheets"];
+const MAX_COMMIT_ATTEMPTS = 3;
+const DEFAULT_STORE_DIR = path.join(__dirname, "data");
+
+function getStoreBackend() {
+  const backend = String(process.env.STORE_BACKEND || "json")
+    .trim()
+    .toLowerCase();
+  return STORE_BACKENDS.includes(backend) ? backend : "json";
+}
+
+function getStoreDir() {
+  const dir = String(process.env.STORE_DIR || "").trim();
+  return dir ? path.resolve(dir) : DEFAULT_STORE_DIR;
+}
+
+function toSheetName(collection) {
+  return String(collection || "")
+    .split(/[_\s-]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("_");
+}
+
+class JsonFileStore {
+  constructor({ collection, dir = getStoreDir() }) {
+    this.collection = collection;
+    this.filePath = path.join(dir, `${collection}.json`);
+    this.records = new Map();
+    this.loadPromise = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async readFile() {
+    let parsed = {};
+    try {
+      const text = await fs.promises.readFile(this.filePath, "utf8");
+      parsed = JSON.parse(text || "{}");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    this.records = new Map();
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      for (const [key, value] of Object.entries(parsed)) {
+        this.records.set(key, value);
+      }
+    }
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.readFile().catch((error) => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    await this.loadPromise;
+    return new Map(this.records);
+  }
+
+  enqueue(task) {
+    this.writeChain = this.writeChain.catch(() => {}).then(async () => {
+      await this.load();
+      return task();
+    });
+    return this.writeChain;
+  }
+
+  set(key, value) {
+    return this.enqueue(async () => {
+      this.records.set(String(key), value);
+      await this.writeFile();
+    });
+  }
+
+  delete(key) {
+    return this.enqueue(async () => {
+      if (this.records.delete(String(key))) {
+        await this.writeFile();
+      }
+    });
+  }
+
+  // change(value, key) returns the next value, or undefined to leave the record alone.
+  // ranges(values) may add sheet cells to write alongside; here they go out in the background.
+  async updateMany(keys, change, { ranges } = {}) {
+    const values = await this.enqueue(async () => {
+      const next = new Map();
+      for (const key of new Set(keys.map(String))) {
+        const value = change(this.records.get(key), key);
+        next.set(key, value);
+        if (value !== undefined) {
+          this.records.set(key, value);
+        }
+      }
+      await this.writeFile();
+      return next;
+    });
+    if (ranges) {
+      persistInBackground(batchUpdateRanges(ranges(values)), `sheet cells for ${this.collection}`);
+    }
+    return values;
+  }
+
+  async writeFile() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.records), null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, snapshot, "utf8");
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+class SheetStore {
+  constructor({ collection, sheetName = toSheetName(collection) }) {
+    this.collection = collection;
+    this.sheetName = sheetName;
+    this.records = new Map();
+    this.rowByKey = new Map();
+    this.version = null;
+    this.loadPromise = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async readSheet() {
+    await ensureKeyValueSheet(this.sheetName);
+    const { rows, version } = await readKeyValueSheet(this.sheetName);
+    this.records = new Map();
+    this.rowByKey = new Map();
+    for (const row of rows) {
+      this.rowByKey.set(row.key, row.rowNumber);
+      if (row.value === null) {
+        this.records.delete(row.key);
+      } else {
+        this.records.set(row.key, row.value);
+      }
+    }
+    this.version = version;
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.readSheet().catch((error) => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    await this.loadPromise;
+    return new Map(this.records);
+  }
+
+  enqueue(task) {
+    this.writeChain = this.writeChain.catch(() => {}).then(async () => {
+      await this.load();
+      return task();
+    });
+    return this.writeChain;
+  }
+
+  // buildChanges() returns { values, ranges }: values maps keys to the next value, null to
+  // delete, or undefined to leave alone. All of it is one guarded batch; when another process
+  // committed first, the sheet is re-read and the changes are built again from fresh records.
+  async commit(buildChanges) {
+    for (let attempt = 1; ; attempt += 1) {
+      const { values, ranges = [] } = buildChanges();
+      const writes = [];
+      for (const [key, value] of values) {
+        if (value === undefined || (value === null && !this.records.has(key))) {
+          continue;
+        }
+        writes.push({
+          key,
+          text: value === null ? "" : JSON.stringify(value),
+          rowNumber: this.rowByKey.get(key) || null
+        });
+      }
+      if (writes.length === 0 && ranges.length === 0) {
+        return values;
+      }
+
+      const result = await commitKeyValueRows(this.sheetName, this.version, writes, ranges);
+      if (result.committed) {
+        if (!result.rowNumbers || writes.some((write) => !result.rowNumbers.has(write.key))) {
+          await this.readSheet();
+          return values;
+        }
+        this.version = result.version;
+        for (const write of writes) {
+          this.rowByKey.set(write.key, result.rowNumbers.get(write.key));
+          if (values.get(write.key) === null) {
+            this.records.delete(write.key);
+          } else {
+            this.records.set(write.key, values.get(write.key));
+          }
+        }
+        return values;
+      }
+
+      if (attempt >= MAX_COMMIT_ATTEMPTS) {
+        throw new Error(`${this.sheetName} kept changing under ${attempt} commit attempts.`);
+      }
+      await this.readSheet();
+    }
+  }
+
+  set(key, value) {
+    const normalizedKey = String(key);
+    return this.enqueue(() => this.commit(() => ({ values: new Map([[normalizedKey, value]]) })));
+  }
+
+  delete(key) {
+    const normalizedKey = String(key);
+    return this.enqueue(() => this.commit(() => ({ values: new Map([[normalizedKey, null]]) })));
+  }
+
+  updateMany(keys, change, { ranges } = {}) {
+    return this.enqueue(() =>
+      this.commit(() => {
+        const values = new Map();
+        for (const key of new Set(keys.map(String))) {
+          values.set(key, change(this.records.get(key), key));
+        }
+        return { values, ranges: ranges ? ranges(values) : [] };
+      })
+    );
+  }
+}
+
+function createStore(collection, options = {}) {
+  const backend = options.backend || getStoreBackend();
+  if (backend === "sheets") {
+    return new SheetStore({ collection, sheetName: options.sheetName });
+  }
+  return new JsonFileStore({ collection, dir: options.dir });
+}
+
+function persistInBackground(promise, description) {
+  Promise.resolve(promise).catch((error) => {
+    logError(`Failed to persist ${description}`, error);
+  });
+}
+
+module.exports = {
+  STORE_BACKENDS,
+  createStore,
+  getStoreBackend,
+  persistInBackground
+};
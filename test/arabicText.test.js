@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeArabicScript, stripArabicArticle } = require("../arabicText");
+
+test("harakat, tatweel and letter variants are folded away", () => {
+  assert.equal(normalizeArabicScript("اللَّهُمَّ"), "اللهم");
+  assert.equal(normalizeArabicScript("إِيمَان"), normalizeArabicScript("ايمان"));
+  assert.equal(normalizeArabicScript("رحمة"), normalizeArabicScript("رحمه"));
+  assert.equal(normalizeArabicScript("مـسـجـد"), "مسجد");
+});
+
+test("Urdu letter forms match their Arabic counterparts", () => {
+  assert.equal(normalizeArabicScript("کتاب"), "كتاب");
+  assert.equal(normalizeArabicScript("ہدایۃ"), normalizeArabicScript("هداية"));
+});
+
+test("a final hamza is dropped", () => {
+  assert.equal(normalizeArabicScript("دعاء"), "دعا");
+  assert.equal(normalizeArabicScript("دعاء الصباح"), "دعا الصباح");
+});
+
+test("the article is stripped only when a full stem remains", () => {
+  assert.equal(stripArabicArticle("الرحمن"), "رحمن");
+  assert.equal(stripArabicArticle("بالليل"), "ليل");
+  assert.equal(stripArabicArticle("الله"), "الله");
+});
+
+test("words that begin with ال or وال of their own keep it", () => {
+  assert.equal(stripArabicArticle("اللهم"), "اللهم");
+  assert.equal(stripArabicArticle("والدين"), "والدين");
+  assert.equal(stripArabicArticle("والديه"), "والديه");
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildSaveKeyboard,
+  buildSavedKeyboard,
+  buildSavedMessage,
+  createBookmarkStore,
+  parseSaveCallbackData,
+  parseSavedCallbackData
+} = require("../bookmarks");
+
+function createMemoryStore() {
+  const saved = new Map();
+  return {
+    saved,
+    load: async () => new Map(saved),
+    set: async (key, value) => saved.set(key, value),
+    delete: async (key) => saved.delete(key)
+  };
+}
+
+function createItems(count) {
+  return Array.from({ length: count }, (_, idx) => ({
+    type: idx % 2 === 0 ? "dua" : "hadith",
+    id: String(idx + 1),
+    title: `Item ${idx + 1}`
+  }));
+}
+
+test("saving puts the newest item first and refuses duplicates", async () => {
+  const bookmarks = createBookmarkStore({ store: createMemoryStore() });
+  assert.deepEqual(await bookmarks.add(7, { type: "dua", id: "12", title: "Rain" }), {
+    added: true
+  });
+  await bookmarks.add(7, { type: "hadith", id: "12", title: "Intentions" });
+  assert.deepEqual(await bookmarks.add(7, { type: "dua", id: 12 }), {
+    added: false,
+    reason: "exists"
+  });
+
+  const items = await bookmarks.list(7);
+  assert.deepEqual(items.map((item) => `${item.type}:${item.id}`), ["hadith:12", "dua:12"]);
+  assert.deepEqual(await bookmarks.list(8), []);
+});
+
+test("a full list refuses new items", async () => {
+  const bookmarks = createBookmarkStore({ store: createMemoryStore(), maxBookmarks: 1 });
+  await bookmarks.add(7, { type: "dua", id: "1" });
+  assert.deepEqual(await bookmarks.add(7, { type: "dua", id: "2" }), {
+    added: false,
+    reason: "full"
+  });
+});
+
+test("removing the last item deletes the user's record", async () => {
+  const store = createMemoryStore();
+  const bookmarks = createBookmarkStore({ store });
+  await bookmarks.add(7, { type: "dua", id: "1" });
+  assert.equal(await bookmarks.remove(7, "dua", "2"), false);
+  assert.equal(await bookmarks.remove(7, "dua", "1"), true);
+  assert.equal(store.saved.has("7"), false);
+});
+
+test("save buttons round-trip through their callback data", () => {
+  const keyboard = buildSaveKeyboard("dua", "34_121");
+  const data = keyboard.inline_keyboard[0][0].callback_data;
+  assert.deepEqual(parseSaveCallbackData(data), { type: "dua", id: "34_121" });
+  assert.equal(buildSaveKeyboard("dua", "x".repeat(64)), undefined);
+  assert.equal(parseSaveCallbackData("save:z:1"), null);
+});
+
+test("the saved list pages five items at a time", () => {
+  const items = createItems(7);
+  const message = buildSavedMessage(items, 1);
+  assert.match(message, /7 saved<\/b> \(page 2\/2\)/);
+  assert.match(message, /<b>6\.<\/b> <b>\[Hadith\]<\/b> Item 6/);
+  assert.doesNotMatch(message, /Item 5/);
+
+  const keyboard = buildSavedKeyboard(7, items, 1);
+  const [openRow, removeRow, navRow] = keyboard.inline_keyboard;
+  assert.deepEqual(openRow.map((button) => button.text), ["6", "7"]);
+  assert.equal(removeRow[1].callback_data, "saved:7:del:1:d:7");
+  assert.deepEqual(navRow.map((button) => button.text), ["‹ Prev"]);
+});
+
+test("saved list callbacks are parsed back into actions", () => {
+  assert.deepEqual(parseSavedCallbackData("saved:7:page:2"), {
+    ownerId: "7",
+    action: "page",
+    page: 2
+  });
+  assert.deepEqual(parseSavedCallbackData("saved:7:open:h:12"), {
+    ownerId: "7",
+    action: "open",
+    type: "hadith",
+    id: "12"
+  });
+  assert.deepEqual(parseSavedCallbackData("saved:7:del:0:d:34_121"), {
+    ownerId: "7",
+    action: "del",
+    page: 0,
+    type: "dua",
+    id: "34_121"
+  });
+  assert.equal(parseSavedCallbackData("saved:7:del:x:d:1"), null);
+  assert.equal(parseSavedCallbackData("save:d:1"), null);
+});
+
+test("an empty list explains how to save", () => {
+  assert.match(buildSavedMessage([]), /You have no saved duas or hadith yet/);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createConversationManager } = require("../conversation");
+
+function createManager(stages = {}) {
+  const conversations = createConversationManager({ ttlMs: 1000 });
+  conversations.registerFlow("search", { cancelMessage: "Search cancelled.", stages });
+  return conversations;
+}
+
+test("advance and back walk the stages with their data", () => {
+  const conversations = createManager();
+  conversations.start(1, 2, "search", "query", { page: 0 });
+  conversations.advance(1, 2, "results", { query: "rain" });
+  conversations.advance(1, 2, "detail", { id: "7" });
+
+  const back = conversations.back(1, 2);
+  assert.equal(back.stage, "results");
+  assert.deepEqual(back.data, { query: "rain" });
+  assert.equal(conversations.back(1, 2).stage, "query");
+  assert.equal(conversations.back(1, 2), null);
+});
+
+test("sessions are kept per user within a chat", () => {
+  const conversations = createManager();
+  conversations.start(1, 2, "search", "query");
+  assert.equal(conversations.get(1, 3), null);
+  assert.equal(conversations.get(1, 2, "other"), null);
+  assert.equal(conversations.get(1, 2, "search").stage, "query");
+});
+
+test("a session expires after its flow's idle time", (t) => {
+  let now = 0;
+  t.mock.method(Date, "now", () => now);
+  const conversations = createManager();
+  conversations.start(1, 2, "search", "query");
+
+  now = 900;
+  assert.ok(conversations.get(1, 2));
+  now = 2000;
+  assert.equal(conversations.get(1, 2), null);
+  assert.equal(conversations.sessions.size, 0);
+});
+
+test("cancel ends the session and returns the flow's message", () => {
+  const conversations = createManager();
+  conversations.start(1, 2, "search", "query");
+  const session = conversations.cancel(1, 2);
+  assert.equal(conversations.getCancelMessage(session), "Search cancelled.");
+  assert.equal(conversations.get(1, 2), null);
+  assert.equal(conversations.getCancelMessage(null), "❌ Cancelled.");
+});
+
+test("messages go to the current stage's handler", async () => {
+  const received = [];
+  const conversations = createManager({
+    query: {
+      onMessage: ({ text, conversations: manager, chatId, userId }) => {
+        received.push(text);
+        manager.advance(chatId, userId, "results", { query: text });
+      }
+    }
+  });
+  assert.equal(await conversations.handleMessage(1, 2, "rain"), false);
+
+  conversations.start(1, 2, "search", "query");
+  assert.equal(await conversations.handleMessage(1, 2, "rain"), true);
+  assert.equal(await conversations.handleMessage(1, 2, "again"), false);
+  assert.deepEqual(received, ["rain"]);
+  assert.equal(conversations.get(1, 2).stage, "results");
+});
+
+test("starting an unknown flow throws", () => {
+  assert.throws(() => createManager().start(1, 2, "missing", "query"), /Unknown conversation flow/);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_DUA_SCHEDULE,
+  formatDuaTime,
+  normalizeDuaSchedule,
+  parseDuaTime,
+  resolveDuaSlot,
+  resolveDuaTimeMinutes,
+  resolveTimeZone
+} = require("../duaSchedule");
+
+const TIMINGS = { Fajr: "05:10", Asr: "16:20", Isha: "23:30" };
+
+test("clock times are padded and invalid ones rejected", () => {
+  assert.equal(parseDuaTime("7:05"), "07:05");
+  assert.equal(parseDuaTime(" 22:30 "), "22:30");
+  assert.equal(parseDuaTime("24:00"), null);
+  assert.equal(parseDuaTime("7pm"), null);
+  assert.equal(parseDuaTime("OFF"), "off");
+});
+
+test("prayer-anchored times accept an offset in minutes", () => {
+  assert.equal(parseDuaTime("Fajr + 20 min"), "fajr+20");
+  assert.equal(parseDuaTime("maghrib-15m"), "maghrib-15");
+  assert.equal(parseDuaTime("isha"), "isha+0");
+  assert.equal(parseDuaTime("asr+181"), null);
+  assert.equal(parseDuaTime("tahajjud+10"), null);
+});
+
+test("anchored times resolve against the day's timings and stay within the day", () => {
+  assert.equal(resolveDuaTimeMinutes("fajr+20", TIMINGS), 5 * 60 + 30);
+  assert.equal(resolveDuaTimeMinutes("isha+60", TIMINGS), 1439);
+  assert.equal(resolveDuaTimeMinutes("07:00", TIMINGS), 420);
+  assert.equal(resolveDuaTimeMinutes("maghrib+10", TIMINGS), null);
+});
+
+test("anchored times are shown with the prayer name", () => {
+  assert.equal(formatDuaTime("asr+30"), "Asr + 30 min");
+  assert.equal(formatDuaTime("fajr-10"), "Fajr - 10 min");
+  assert.equal(formatDuaTime("isha+0"), "at Isha");
+  assert.equal(formatDuaTime("07:00"), "07:00");
+});
+
+test("slot names accept Roman-Urdu aliases", () => {
+  assert.equal(resolveDuaSlot("Subah"), "morning");
+  assert.equal(resolveDuaSlot("raat"), "sleep");
+  assert.equal(resolveDuaSlot("noon"), null);
+});
+
+test("a stored schedule falls back to defaults for missing or invalid fields", () => {
+  assert.deepEqual(normalizeDuaSchedule({}), DEFAULT_DUA_SCHEDULE);
+  const stored = { morning: "fajr+20", evening: "25:00", sleep: "off", timezone: "Nowhere" };
+  assert.deepEqual(normalizeDuaSchedule(stored), {
+    ...DEFAULT_DUA_SCHEDULE,
+    morning: "fajr+20",
+    sleep: "off"
+  });
+  assert.equal(resolveTimeZone("asia/karachi"), "Asia/Karachi");
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFollowStore, isFollowDue, pickFollowedDua } = require("../follows");
+
+function createMemoryStore(initial = {}) {
+  const records = new Map(Object.entries(initial));
+  return {
+    records,
+    load: async () => records,
+    set: async (key, value) => records.set(String(key), value),
+    delete: async (key) => records.delete(String(key)),
+    updateMany: async (keys, change) => {
+      const values = new Map();
+      for (const key of keys.map(String)) {
+        const value = change(records.get(key), key);
+        values.set(key, value);
+        if (value !== undefined) {
+          records.set(key, value);
+        }
+      }
+      return values;
+    }
+  };
+}
+
+const TIMEZONE = "Asia/Kolkata";
+// 2026-03-02 09:30 in Asia/Kolkata.
+const MORNING = new Date("2026-03-02T04:00:00Z");
+
+test("a follow is due from its time until it is sent that day", () => {
+  const record = { time: "09:00", lastSentDate: "", since: "" };
+  assert.equal(isFollowDue(record, new Date("2026-03-02T03:29:00Z"), TIMEZONE), false);
+  assert.equal(isFollowDue(record, MORNING, TIMEZONE), true);
+  assert.equal(isFollowDue({ ...record, lastSentDate: "2026-03-02" }, MORNING, TIMEZONE), false);
+});
+
+test("a follow started after the day's time waits for the next day", () => {
+  // Followed at 09:15 local, with a 09:00 delivery time.
+  const record = { time: "09:00", lastSentDate: "", since: "2026-03-02T03:45:00.000Z" };
+  assert.equal(isFollowDue(record, MORNING, TIMEZONE), false);
+  assert.equal(isFollowDue(record, new Date("2026-03-03T04:00:00Z"), TIMEZONE), true);
+
+  // Followed at 08:00 local, so the 09:00 dua still goes out that day.
+  const early = { ...record, since: "2026-03-02T02:30:00.000Z" };
+  assert.equal(isFollowDue(early, MORNING, TIMEZONE), true);
+});
+
+test("since is set when following starts and kept while topics are added", async () => {
+  const follows = createFollowStore({ store: createMemoryStore() });
+  const first = await follows.follow(42, ["anxiety"]);
+  assert.ok(first.since);
+  const second = await follows.follow(42, ["sleep"]);
+  assert.equal(second.since, first.since);
+  assert.deepEqual(second.topics, ["sleep", "anxiety"]);
+});
+
+test("forget drops the user's follows", async () => {
+  const store = createMemoryStore({ 42: { topics: ["anxiety"], time: "09:00" } });
+  const follows = createFollowStore({ store });
+  await follows.forget(42);
+  assert.equal(store.records.has("42"), false);
+  assert.deepEqual((await follows.get(42)).topics, []);
+});
+
+test("recordDailyPicks skips users already served that day", async () => {
+  const store = createMemoryStore({
+    1: { topics: ["anxiety"], time: "09:00", lastSentDate: "2026-03-02" },
+    2: { topics: ["anxiety"], time: "09:00", lastSentDate: "2026-03-01" }
+  });
+  const follows = createFollowStore({ store });
+  const dateKeys = new Map([
+    ["1", "2026-03-02"],
+    ["2", "2026-03-02"]
+  ]);
+  const picked = await follows.recordDailyPicks(dateKeys, () => ({
+    dua: { id: "34_120" },
+    sentIds: ["34_120"]
+  }));
+  assert.deepEqual([...picked.keys()], ["2"]);
+  assert.equal(store.records.get("2").lastSentDate, "2026-03-02");
+});
+
+test("pickFollowedDua rotates through the topic before repeating", () => {
+  const rows = [
+    { id: "a", tags: "anxiety, stress" },
+    { id: "b", tags: "anxiety" },
+    { id: "c", tags: "evening, adhkar" }
+  ];
+  const first = pickFollowedDua(rows, { topics: ["anxiety"], sentIds: ["a"] }, () => 0);
+  assert.equal(first.dua.id, "b");
+  assert.deepEqual(first.sentIds, ["a", "b"]);
+
+  const restart = pickFollowedDua(rows, { topics: ["anxiety"], sentIds: ["a", "b"] }, () => 0);
+  assert.equal(restart.dua.id, "a");
+  assert.deepEqual(restart.sentIds, ["a"]);
+  assert.equal(pickFollowedDua(rows, { topics: ["morning"], sentIds: [] }), null);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getMethodKind, wrapClient } = require("../googleClient");
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+}
+
+// Fails with the given errors in turn, then answers "ok"; calls counts every attempt.
+function failing(...errors) {
+  const method = async () => {
+    method.calls += 1;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return "ok";
+  };
+  method.calls = 0;
+  return method;
+}
+
+test("reads are named by their full method path", () => {
+  assert.equal(getMethodKind("sheets.spreadsheets.values.get"), "read");
+  assert.equal(getMethodKind("drive.changes.getStartPageToken"), "read");
+  assert.equal(getMethodKind("drive.files.list"), "read");
+  assert.equal(getMethodKind("sheets.spreadsheets.batchUpdate"), "write");
+  assert.equal(getMethodKind("drive.files.watch"), "write");
+});
+
+test("spreadsheets.batchUpdate is not repeated after a 5xx", async () => {
+  const batchUpdate = failing(httpError(503));
+  const client = wrapClient("sheets", { spreadsheets: { batchUpdate } });
+  await assert.rejects(client.spreadsheets.batchUpdate({}), /HTTP 503/);
+  assert.equal(batchUpdate.calls, 1);
+});
+
+test("non-repeatable writes are retried after 429 or an unsent request", async () => {
+  const refused = Object.assign(new Error("refused"), { code: "ECONNREFUSED" });
+  const append = failing(httpError(429), refused);
+  const client = wrapClient("sheets", { spreadsheets: { values: { append } } });
+  assert.equal(await client.spreadsheets.values.append({}), "ok");
+  assert.equal(append.calls, 3);
+});
+
+test("cell overwrites and reads outside get/list are retried after a 5xx", async () => {
+  const batchUpdate = failing(httpError(503));
+  const sheets = wrapClient("sheets", { spreadsheets: { values: { batchUpdate } } });
+  assert.equal(await sheets.spreadsheets.values.batchUpdate({}), "ok");
+  assert.equal(batchUpdate.calls, 2);
+
+  const getStartPageToken = failing(httpError(502));
+  const drive = wrapClient("drive", { changes: { getStartPageToken } });
+  assert.equal(await drive.changes.getStartPageToken({}), "ok");
+  assert.equal(getStartPageToken.calls, 2);
+});
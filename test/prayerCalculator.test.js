@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { calculatePrayerTimes, getHijriDateParts } = require("../prayerCalculator");
+const { toMinutes } = require("../utils");
+
+const KARACHI = { latitude: 24.86, longitude: 67.01, timezone: "Asia/Karachi" };
+
+function assertNear(actual, expected, toleranceMinutes = 3) {
+  const difference = Math.abs(toMinutes(actual) - toMinutes(expected));
+  assert.ok(difference <= toleranceMinutes, `${actual} is ${difference} min off ${expected}`);
+}
+
+test("Karachi times land within a few minutes of the expected timetable", () => {
+  const times = calculatePrayerTimes({
+    ...KARACHI,
+    dateKey: "2026-03-02",
+    method: "karachi",
+    school: "hanafi"
+  });
+  assertNear(times.Fajr, "05:38");
+  assertNear(times.Sunrise, "06:53");
+  assertNear(times.Dhuhr, "12:43");
+  assertNear(times.Asr, "16:55");
+  assertNear(times.Maghrib, "18:34");
+  assertNear(times.Isha, "19:49");
+  assert.equal(toMinutes(times.Fajr) - toMinutes(times.Imsak), 10);
+});
+
+test("the Shafi'i Asr comes before the Hanafi one", () => {
+  const options = { ...KARACHI, dateKey: "2026-03-02", method: "karachi" };
+  const shafi = calculatePrayerTimes({ ...options, school: "shafi" });
+  const hanafi = calculatePrayerTimes({ ...options, school: "hanafi" });
+  assert.ok(toMinutes(shafi.Asr) < toMinutes(hanafi.Asr));
+  assert.equal(shafi.Dhuhr, hanafi.Dhuhr);
+});
+
+test("methods with a fixed Isha interval count it from Maghrib", () => {
+  const times = calculatePrayerTimes({
+    latitude: 21.42,
+    longitude: 39.83,
+    timezone: "Asia/Riyadh",
+    dateKey: "2026-03-02",
+    method: "makkah"
+  });
+  assert.equal(toMinutes(times.Isha) - toMinutes(times.Maghrib), 90);
+});
+
+test("high latitudes in summer still get a Fajr and an Isha", () => {
+  const times = calculatePrayerTimes({
+    latitude: 59.91,
+    longitude: 10.75,
+    timezone: "Europe/Oslo",
+    dateKey: "2026-06-21",
+    method: "mwl",
+    school: "shafi"
+  });
+  assert.match(times.Fajr, /^\d{2}:\d{2}$/);
+  assert.match(times.Isha, /^\d{2}:\d{2}$/);
+  assert.ok(toMinutes(times.Fajr) < toMinutes(times.Sunrise));
+});
+
+test("coordinates are required", () => {
+  assert.throws(
+    () => calculatePrayerTimes({ dateKey: "2026-03-02", timezone: "UTC" }),
+    /Latitude and longitude/
+  );
+});
+
+test("the Hijri date follows the Umm al-Qura calendar", () => {
+  assert.deepEqual(getHijriDateParts("2026-02-18"), {
+    day: 1,
+    month: 9,
+    monthName: "Ramadan",
+    year: 1447
+  });
+  assert.equal(getHijriDateParts("2026-03-20").month, 10);
+});
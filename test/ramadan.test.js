@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getRamadanEvents, isRamadanActive } = require("../ramadan");
+const { formatRamadanMessage } = require("../utils");
+
+const TIMINGS = {
+  Imsak: "04:50",
+  Fajr: "05:00",
+  Maghrib: "18:30",
+  Isha: "19:50",
+  Lastthird: "02:10"
+};
+
+function makeDay(dateKey, month, day, timings = TIMINGS) {
+  return { dateKey, timings, hijri: { month, day } };
+}
+
+function findEvent(events, key) {
+  return events.find((event) => event.key === key);
+}
+
+test("taraweeh on the eve of 1 Ramadan belongs to the first night", () => {
+  const events = getRamadanEvents(makeDay("2026-02-17", 8, 29), makeDay("2026-02-18", 9, 1));
+  const taraweeh = findEvent(events, "taraweeh");
+  assert.equal(taraweeh.ramadanNight, 1);
+  assert.equal(isRamadanActive("auto", taraweeh.hijriDay), true);
+  assert.equal(isRamadanActive("auto", findEvent(events, "iftar").hijriDay), false);
+  assert.equal(isRamadanActive("auto", findEvent(events, "suhoor_warning").hijriDay), false);
+});
+
+test("daytime reminders on 1 Ramadan carry the day number", () => {
+  const events = getRamadanEvents(makeDay("2026-02-18", 9, 1), makeDay("2026-02-19", 9, 2));
+  assert.equal(findEvent(events, "imsak").ramadanDay, 1);
+  assert.equal(findEvent(events, "iftar").ramadanDay, 1);
+  assert.equal(findEvent(events, "taraweeh").ramadanNight, 2);
+});
+
+test("the last-ten reminder starts on the 21st night", () => {
+  const day20 = getRamadanEvents(makeDay("2026-03-09", 9, 20), makeDay("2026-03-10", 9, 21));
+  assert.equal(findEvent(day20, "last_ten"), undefined);
+  assert.equal(findEvent(day20, "taraweeh").ramadanNight, 21);
+
+  // Lastthird is after midnight, so on the Gregorian day of 21 Ramadan it is still night 21.
+  const day21 = getRamadanEvents(makeDay("2026-03-10", 9, 21), makeDay("2026-03-11", 9, 22));
+  assert.equal(findEvent(day21, "last_ten").ramadanNight, 21);
+  assert.equal(findEvent(day21, "last_ten").time, "02:10");
+});
+
+test("a last third before midnight counts towards the next night", () => {
+  const timings = { ...TIMINGS, Lastthird: "23:40" };
+  const events = getRamadanEvents(
+    makeDay("2026-03-09", 9, 20, timings),
+    makeDay("2026-03-10", 9, 21, timings)
+  );
+  assert.equal(findEvent(events, "last_ten").ramadanNight, 21);
+});
+
+test("Eid night gets no taraweeh and no last-ten reminder", () => {
+  const eve = getRamadanEvents(makeDay("2026-03-19", 9, 30), makeDay("2026-03-20", 10, 1));
+  assert.equal(findEvent(eve, "last_ten").ramadanNight, 30);
+  assert.equal(isRamadanActive("auto", findEvent(eve, "taraweeh").hijriDay), false);
+  assert.equal(isRamadanActive("auto", findEvent(eve, "iftar").hijriDay), true);
+
+  const eid = getRamadanEvents(makeDay("2026-03-20", 10, 1), makeDay("2026-03-21", 10, 2));
+  assert.equal(findEvent(eid, "last_ten"), undefined);
+  assert.equal(isRamadanActive("auto", findEvent(eid, "imsak").hijriDay), false);
+});
+
+test("without tomorrow's timings night reminders are inactive in auto mode", () => {
+  const events = getRamadanEvents(makeDay("2026-03-01", 9, 12), null);
+  assert.equal(isRamadanActive("auto", findEvent(events, "taraweeh").hijriDay), false);
+  assert.equal(isRamadanActive("on", findEvent(events, "taraweeh").hijriDay), true);
+});
+
+test("only odd nights are called odd", () => {
+  const odd = formatRamadanMessage("last_ten", { ramadanNight: 21 });
+  assert.match(odd, /Night 21 of Ramadan/);
+  assert.match(odd, /Tonight is the 21st night, an odd night\./);
+
+  const even = formatRamadanMessage("last_ten", { ramadanNight: 22 });
+  assert.doesNotMatch(even, /odd night/);
+  assert.match(even, /Night 22 of Ramadan/);
+});
+
+test("daytime messages show the day of Ramadan", () => {
+  assert.match(formatRamadanMessage("iftar", { ramadanDay: 5 }), /Day 5 of Ramadan/);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { foldRomanUrdu, foldRomanUrduText } = require("../romanUrdu");
+
+function assertSameFold(...spellings) {
+  const folds = new Set(spellings.map(foldRomanUrdu));
+  assert.equal(folds.size, 1, `${spellings.join(", ")} fold to ${[...folds].join(", ")}`);
+}
+
+test("common spelling variants fold together", () => {
+  assertSameFold("rizq", "rizk", "rizaq");
+  assertSameFold("qarz", "karz");
+  assertSameFold("musibat", "museebat");
+  assertSameFold("subah", "subha");
+  assertSameFold("roza", "rozah");
+});
+
+test("the vowel of a final syllable is dropped only in longer words", () => {
+  assert.equal(foldRomanUrdu("safar"), foldRomanUrdu("safr"));
+  assert.equal(foldRomanUrdu("ghar"), "gar");
+  assert.equal(foldRomanUrdu("khana"), "kana");
+});
+
+test("non-Latin tokens are left alone", () => {
+  assert.equal(foldRomanUrdu("دعا"), "دعا");
+  assert.equal(foldRomanUrdu("sleep2"), "sleep2");
+});
+
+test("text is normalised before folding each word", () => {
+  assert.equal(foldRomanUrduText("Subah ki Duaa!"), "suba ki dua");
+});
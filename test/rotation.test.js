@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRotationStore, drawFromDeck } = require("../rotation");
+
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    records,
+    delete: async (key) => records.delete(String(key)),
+    updateMany: async (keys, change, { ranges } = {}) => {
+      const values = new Map();
+      for (const key of keys.map(String)) {
+        values.set(key, change(records.get(key), key));
+      }
+      for (const [key, value] of values) {
+        if (value !== undefined) {
+          records.set(key, value);
+        }
+      }
+      if (ranges) {
+        ranges(values);
+      }
+      return values;
+    }
+  };
+}
+
+// A fixed sequence keeps the shuffles predictable.
+function sequence(...values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+test("a deck hands out every id once before repeating", () => {
+  const ids = ["a", "b", "c", "d"];
+  let deck;
+  const seen = [];
+  for (let i = 0; i < ids.length; i += 1) {
+    const result = drawFromDeck(deck, ids, Math.random);
+    seen.push(result.id);
+    deck = result.deck;
+  }
+  assert.deepEqual([...seen].sort(), ids);
+  assert.deepEqual(deck.remaining, []);
+});
+
+test("a reshuffled deck does not start with the card drawn last", () => {
+  const deck = { remaining: [], drawn: ["b", "a"] };
+  // A random value of 0.99 keeps every card in place, which would put "a" on top.
+  const result = drawFromDeck(deck, ["a", "b"], sequence(0.99));
+  assert.equal(result.id, "b");
+  assert.deepEqual(result.deck, { remaining: ["a"], drawn: ["b"] });
+});
+
+test("ids removed from the sheet leave the deck and new ones join it", () => {
+  const deck = { remaining: ["c", "gone"], drawn: ["a"] };
+  const result = drawFromDeck(deck, ["a", "c", "d"], sequence(0.99));
+  assert.ok(["c", "d"].includes(result.id));
+  assert.deepEqual([...result.deck.remaining, result.id].sort(), ["c", "d"]);
+  assert.deepEqual(result.deck.drawn, ["a", result.id]);
+});
+
+test("each chat draws from its own deck", async () => {
+  const rotation = createRotationStore({ store: createMemoryStore(), random: sequence(0.99) });
+  const ids = ["a", "b", "c"];
+  const first = await rotation.drawMany([1, 2], "dua:morning", ids);
+  const second = await rotation.drawMany([1], "dua:morning", ids);
+
+  assert.equal(first.get("1"), first.get("2"));
+  assert.notEqual(second.get("1"), first.get("1"));
+  assert.deepEqual(rotation.store.records.get("2").decks["dua:morning"].drawn, [first.get("2")]);
+});
+
+test("a chat already stamped with the run key is not drawn again", async () => {
+  const rotation = createRotationStore({ store: createMemoryStore() });
+  const written = [];
+  const options = { runKey: () => "2026-03-02", ranges: (drawnIds) => written.push(drawnIds) };
+  const first = await rotation.drawMany([1], "dua:morning", ["a", "b"], options);
+  const second = await rotation.drawMany([1, 2], "dua:morning", ["a", "b"], options);
+
+  assert.deepEqual([...second.keys()], ["2"]);
+  assert.equal(rotation.store.records.get("1").decks["dua:morning"].drawn.length, 1);
+  assert.deepEqual(written, [[first.get("1")], [second.get("2")]]);
+});
+
+test("forgetting a chat drops its decks", async () => {
+  const rotation = createRotationStore({ store: createMemoryStore() });
+  await rotation.drawMany([1], "dua:morning", ["a"]);
+  await rotation.forget(1);
+  assert.equal(rotation.store.records.has("1"), false);
+});
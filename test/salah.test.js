@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_LOCATION, createSalahService, normalizeSalahPreferences } = require("../salah");
+
+const TIMINGS = {
+  Imsak: "04:50",
+  Fajr: "05:00",
+  Sunrise: "06:20",
+  Dhuhr: "12:10",
+  Asr: "15:30",
+  Maghrib: "18:30",
+  Isha: "19:50",
+  Lastthird: "02:10"
+};
+
+function createHarness(days, preferenceOverrides = {}) {
+  const sent = [];
+  const service = createSalahService({
+    bot: { sendMessage: async (chatId, message) => sent.push({ chatId, message }) },
+    getTargets: () => [],
+    calendarStore: { load: async () => ({}) }
+  });
+  service.getPrayerDay = async (profile, dateKey) => days[dateKey];
+  const preferences = normalizeSalahPreferences(preferenceOverrides);
+  const group = {
+    key: "test",
+    profile: { ...preferences, location: DEFAULT_LOCATION },
+    targets: [{ chatId: 1, preferences }]
+  };
+
+  async function runAt(dateKey, timeKey, weekdayIndex = 1) {
+    const now = { dateKey, timeKey, weekdayIndex };
+    await service.checkProfileGroup(group, now, `${group.key}|${dateKey}`);
+    return sent.splice(0).map((item) => item.message);
+  }
+
+  return { service, runAt };
+}
+
+test("the first taraweeh reminder goes out on the eve of 1 Ramadan", async () => {
+  const { runAt } = createHarness(
+    {
+      "2026-02-17": { dateKey: "2026-02-17", timings: TIMINGS, hijri: { month: 8, day: 29 } },
+      "2026-02-18": { dateKey: "2026-02-18", timings: TIMINGS, hijri: { month: 9, day: 1 } }
+    },
+    { onTime: false }
+  );
+  assert.deepEqual(await runAt("2026-02-17", "18:30"), []);
+  const messages = await runAt("2026-02-17", "20:05");
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], /Taraweeh tonight/);
+  assert.match(messages[0], /Night 1 of Ramadan/);
+});
+
+test("no taraweeh reminder on the night before Eid", async () => {
+  const { runAt } = createHarness(
+    {
+      "2026-03-19": { dateKey: "2026-03-19", timings: TIMINGS, hijri: { month: 9, day: 30 } },
+      "2026-03-20": { dateKey: "2026-03-20", timings: TIMINGS, hijri: { month: 10, day: 1 } }
+    },
+    { onTime: false }
+  );
+  assert.match((await runAt("2026-03-19", "18:30")).join("\n"), /Iftar time/);
+  assert.deepEqual(await runAt("2026-03-19", "20:05"), []);
+});
+
+test("an advance notice for a prayer after midnight goes out the evening before, once", async () => {
+  const { service, runAt } = createHarness(
+    {
+      "2026-03-01": { dateKey: "2026-03-01", timings: { ...TIMINGS, Isha: "23:50" } },
+      "2026-03-02": { dateKey: "2026-03-02", timings: { ...TIMINGS, Fajr: "00:20" } }
+    },
+    { minutesBefore: 30, events: ["fajr", "isha"], ramadan: "off" }
+  );
+
+  const evening = await runAt("2026-03-01", "23:50");
+  assert.equal(evening.length, 2);
+  assert.ok(evening.some((message) => /Isha/.test(message)));
+  assert.ok(evening.some((message) => /Fajr/.test(message) && /30 min/.test(message)));
+  assert.deepEqual(await runAt("2026-03-01", "23:51"), []);
+
+  // The notice is recorded under the Fajr's own date, so the new day's checks already see it.
+  assert.ok(service.sentByDate.get("test|2026-03-02").has("1:fajr:before"));
+  assert.deepEqual(await runAt("2026-03-02", "00:00"), []);
+  assert.deepEqual(await runAt("2026-03-02", "00:01"), []);
+
+  const fajr = await runAt("2026-03-02", "00:20");
+  assert.equal(fajr.length, 1);
+  assert.match(fajr[0], /Fajr/);
+  assert.deepEqual(await runAt("2026-03-02", "00:21"), []);
+});
+
+test("a notice due in the first minute of the day is sent by that day's check", async () => {
+  const { runAt } = createHarness(
+    {
+      "2026-03-01": { dateKey: "2026-03-01", timings: TIMINGS },
+      "2026-03-02": { dateKey: "2026-03-02", timings: { ...TIMINGS, Fajr: "00:30" } }
+    },
+    { minutesBefore: 30, onTime: false, events: ["fajr"], ramadan: "off" }
+  );
+  assert.deepEqual(await runAt("2026-03-01", "23:59"), []);
+  assert.equal((await runAt("2026-03-02", "00:00")).length, 1);
+  assert.deepEqual(await runAt("2026-03-02", "00:01"), []);
+});
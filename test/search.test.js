@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDuaLookup, parseSourceReference, searchDuaMaster } = require("../search");
+
+const SOURCE_ROWS = [
+  {
+    id: "1_1",
+    chapter_title_en: "Seeking forgiveness",
+    source: "Muslim 2702",
+    source_ref: "hisnul_number: 5",
+    arabic: "اللهم اغفر لي"
+  },
+  {
+    id: "2_2",
+    chapter_title_en: "The best way of seeking forgiveness",
+    source: "Al-Bukhari 6306",
+    source_ref: "",
+    arabic: "اللهم انت ربي لا اله الا انت خلقتني وانا عبدك"
+  },
+  {
+    id: "3_3",
+    chapter_title_en: "Before sleeping",
+    source: "Hisnul Muslim 6306, Bukhari 63067",
+    source_ref: "",
+    arabic: ""
+  }
+];
+
+test("dua ids are read with any common separator", () => {
+  for (const text of ["34_121", "id 34-121", "ID 34.121", "34:121"]) {
+    assert.deepEqual(parseDuaLookup(text), { type: "id", duaId: "34_121" }, text);
+  }
+  assert.deepEqual(parseDuaLookup("007_02"), { type: "id", duaId: "7_2" });
+});
+
+test("a bare or labelled number is a chapter", () => {
+  for (const text of ["27", "chapter 27", "ch #27", "hisnul muslim chapter 27"]) {
+    assert.deepEqual(parseDuaLookup(text), { type: "chapter", chapterId: "27" }, text);
+  }
+});
+
+test('"id" without a valid id is an empty id lookup', () => {
+  assert.deepEqual(parseDuaLookup("id"), { type: "id", duaId: "" });
+  assert.deepEqual(parseDuaLookup("id abc"), { type: "id", duaId: "" });
+});
+
+test("everything else is left to search", () => {
+  assert.equal(parseDuaLookup("rain"), null);
+  assert.equal(parseDuaLookup("idea"), null);
+  assert.equal(parseDuaLookup("hisnul muslim 121"), null);
+});
+
+test("book references allow prefixes, spelling variants and a hadith number label", () => {
+  for (const text of ["Bukhari 6306", "sahih al bukhari hadith 6306", "Bokhari no 6306"]) {
+    assert.equal(parseSourceReference(text)?.type, "book", text);
+  }
+  assert.equal(parseSourceReference("Surah 2:255").patterns[0].test("quran 2 255"), true);
+  assert.equal(parseSourceReference("rain dua"), null);
+});
+
+test("Hisnul Muslim numbers and named duas are recognised", () => {
+  assert.deepEqual(parseSourceReference("hisnul muslim 121"), {
+    type: "hisnul",
+    hisnulNumber: "121",
+    patterns: []
+  });
+  assert.equal(parseSourceReference("syed-ul-istighfar").type, "named");
+  assert.equal(parseSourceReference("Ayatul Kursi").type, "named");
+});
+
+test("an exact source match ranks first and near misses do not count", async () => {
+  const ids = async (query) => {
+    const results = await searchDuaMaster(query, { rows: SOURCE_ROWS });
+    return results.map((row) => row.id);
+  };
+  assert.deepEqual(await ids("bukhari 6306"), ["2_2"]);
+  assert.deepEqual(await ids("hisnul muslim 5"), ["1_1"]);
+  assert.equal((await ids("sayyidul istighfar"))[0], "2_2");
+  assert.equal((await ids("forgiveness")).length, 2);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  evaluateRanking,
+  evaluateSearch,
+  loadFixtureRows,
+  loadGoldenQueries
+} = require("../searchEval");
+
+const MIN_MRR = 0.95;
+
+test("golden queries keep their ranking on the fixture index", async () => {
+  const report = await evaluateSearch({ rows: loadFixtureRows(), queries: loadGoldenQueries() });
+  const misses = report.results
+    .filter((item) => item.relevant.length > 0 && item.precision === 0)
+    .map((item) => item.query);
+  assert.deepEqual(misses, []);
+  assert.equal(report.excludedHits, 0);
+  assert.ok(
+    report.meanReciprocalRank >= MIN_MRR,
+    `MRR ${report.meanReciprocalRank.toFixed(3)} is below ${MIN_MRR}`
+  );
+});
+
+test("evaluateRanking scores precision, reciprocal rank and excluded hits", () => {
+  const result = evaluateRanking(["b", "a", "x", "c"], ["a", "c"], 3, ["x"]);
+  assert.equal(result.precision, 0.5);
+  assert.equal(result.reciprocalRank, 0.5);
+  assert.equal(result.firstRelevantRank, 2);
+  assert.deepEqual(result.excludedHits, ["x"]);
+});
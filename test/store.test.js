@@ -0,0 +1,219 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const root = path.join(__dirname, "..");
+const SHEET_IDS = { Rotations: 1, Duas_50: 2 };
+
+// An in-memory spreadsheet that applies a batchUpdate all or nothing, like Sheets does.
+const sheet = {
+  grid: {},
+  namedRanges: new Map(),
+  batches: 0,
+  loseNextResponse: false,
+  reset() {
+    this.grid = { Rotations: [["key", "value", "updated_at"]], Duas_50: [] };
+    this.namedRanges = new Map();
+    this.batches = 0;
+    this.loseNextResponse = false;
+  },
+  rows(name) {
+    return this.grid[name].slice(1).filter((row) => row && row.some(Boolean));
+  }
+};
+
+function requestError(message, status) {
+  const error = new Error(message);
+  error.response = { status };
+  return error;
+}
+
+function toSheetName(sheetId) {
+  return Object.keys(SHEET_IDS).find((name) => SHEET_IDS[name] === sheetId);
+}
+
+function toValue(cell) {
+  return cell.userEnteredValue ? Object.values(cell.userEnteredValue)[0] : "";
+}
+
+function applyRequests(grid, namedRanges, requests) {
+  for (const request of requests) {
+    if (request.deleteNamedRange) {
+      if (!namedRanges.delete(request.deleteNamedRange.namedRangeId)) {
+        throw requestError("No named range with that id.", 400);
+      }
+    } else if (request.addNamedRange) {
+      const { namedRangeId, name } = request.addNamedRange.namedRange;
+      if (namedRanges.has(namedRangeId)) {
+        throw requestError("A named range with that id already exists.", 400);
+      }
+      namedRanges.set(namedRangeId, { namedRangeId, name });
+    } else if (request.updateCells) {
+      const { start, rows } = request.updateCells;
+      const target = grid[toSheetName(start.sheetId)];
+      rows.forEach((row, rowOffset) => {
+        const rowIndex = start.rowIndex + rowOffset;
+        target[rowIndex] = target[rowIndex] || [];
+        row.values.forEach((cell, columnOffset) => {
+          target[rowIndex][start.columnIndex + columnOffset] = toValue(cell);
+        });
+      });
+    } else if (request.appendCells) {
+      const target = grid[toSheetName(request.appendCells.sheetId)];
+      let last = target.length;
+      while (last > 0 && !(target[last - 1] || []).some(Boolean)) {
+        last -= 1;
+      }
+      request.appendCells.rows.forEach((row, offset) => {
+        target[last + offset] = row.values.map(toValue);
+      });
+    }
+  }
+}
+
+const fakeSheetsClient = {
+  spreadsheets: {
+    get: async () => ({
+      data: {
+        namedRanges: [...sheet.namedRanges.values()],
+        sheets: Object.entries(SHEET_IDS).map(([title, sheetId]) => ({
+          properties: { title, sheetId }
+        }))
+      }
+    }),
+    batchUpdate: async ({ requestBody }) => {
+      const grid = structuredClone(sheet.grid);
+      const namedRanges = new Map(sheet.namedRanges);
+      applyRequests(grid, namedRanges, requestBody.requests);
+      sheet.grid = grid;
+      sheet.namedRanges = namedRanges;
+      sheet.batches += 1;
+      if (sheet.loseNextResponse) {
+        sheet.loseNextResponse = false;
+        throw requestError("The connection was reset.", 503);
+      }
+      if (!requestBody.includeSpreadsheetInResponse) {
+        return { data: {} };
+      }
+      const rowData = grid.Rotations.map((row) => ({
+        values: [{ formattedValue: (row || [])[0] }]
+      }));
+      return {
+        data: {
+          updatedSpreadsheet: {
+            sheets: [{ properties: { title: "Rotations" }, data: [{ startRow: 0, rowData }] }]
+          }
+        }
+      };
+    },
+    values: {
+      get: async ({ range }) => {
+        const grid = sheet.grid[range.split("!")[0]];
+        const rows = grid.slice(1).map((row) => (row || []).slice(0, 3));
+        while (rows.length > 0 && !rows[rows.length - 1].some(Boolean)) {
+          rows.pop();
+        }
+        return { data: { values: rows } };
+      },
+      update: async () => ({ data: {} })
+    }
+  }
+};
+
+require.cache[require.resolve("googleapis", { paths: [root] })] = {
+  exports: { google: { sheets: () => fakeSheetsClient } }
+};
+require.cache[path.join(root, "googleAuth.js")] = {
+  exports: { getGoogleAuth: () => ({ getClient: async () => ({}) }) }
+};
+process.env.SPREADSHEET_ID = "test-spreadsheet";
+
+const { createStore } = require("../store");
+const { createRotationStore } = require("../rotation");
+const { getDuaSentRanges } = require("../sheets");
+
+function createSheetStore() {
+  return createStore("rotations", { backend: "sheets" });
+}
+
+function storedKeys() {
+  return sheet.rows("Rotations").map((row) => row[0]);
+}
+
+test.beforeEach(() => sheet.reset());
+
+test("a set is one guarded batch that moves the version on", async () => {
+  const store = createSheetStore();
+  await store.load();
+  assert.deepEqual([...sheet.namedRanges.keys()], ["Rotations_v0"]);
+
+  const batchesBefore = sheet.batches;
+  await store.set("1", { decks: {} });
+  assert.equal(sheet.batches - batchesBefore, 1);
+  assert.deepEqual([...sheet.namedRanges.keys()], ["Rotations_v1"]);
+  assert.deepEqual(await createSheetStore().load(), new Map([["1", { decks: {} }]]));
+});
+
+test("a stale store is rejected, re-reads the sheet and builds its change again", async () => {
+  const first = createSheetStore();
+  const second = createSheetStore();
+  await first.load();
+  await second.load();
+
+  await first.set("1", { count: 1 });
+  const increment = (value = { count: 0 }) => ({ count: value.count + 1 });
+  await second.updateMany(["1"], increment);
+
+  assert.deepEqual(await createSheetStore().load(), new Map([["1", { count: 2 }]]));
+  assert.deepEqual(storedKeys(), ["1"]);
+  assert.deepEqual([...sheet.namedRanges.keys()], ["Rotations_v2"]);
+});
+
+test("a batch whose response is lost is recognised as committed", async () => {
+  const store = createSheetStore();
+  await store.load();
+
+  sheet.loseNextResponse = true;
+  const batchesBefore = sheet.batches;
+  await store.set("1", { decks: {} });
+  assert.equal(sheet.batches - batchesBefore, 1);
+
+  await store.set("2", { decks: {} });
+  assert.deepEqual(storedKeys(), ["1", "2"]);
+  assert.deepEqual(await store.load(), await createSheetStore().load());
+});
+
+test("a deleted key keeps its row, which a later set reuses", async () => {
+  const store = createSheetStore();
+  await store.set("1", { decks: {} });
+  await store.set("2", { decks: {} });
+  await store.delete("1");
+
+  assert.deepEqual(sheet.rows("Rotations")[0].slice(0, 2), ["1", ""]);
+  assert.deepEqual([...(await createSheetStore().load()).keys()], ["2"]);
+
+  await store.set("1", { decks: { dua: { drawn: [] } } });
+  assert.deepEqual(storedKeys(), ["1", "2"]);
+});
+
+test("a rotation run skips chats another process already drew for", async () => {
+  const duas = ["a", "b", "c"].map((id, idx) => ({ id, rowNumber: idx + 2 }));
+  const ranges = (ids) => getDuaSentRanges(ids.map((id) => duas.find((dua) => dua.id === id)));
+  const options = { runKey: () => "2026-03-02", ranges };
+  const first = createRotationStore({ store: createSheetStore() });
+  const second = createRotationStore({ store: createSheetStore() });
+  await second.store.load();
+
+  const drawnFirst = await first.drawMany([1, 2], "dua:morning", ["a", "b", "c"], options);
+  assert.deepEqual([...drawnFirst.keys()], ["1", "2"]);
+
+  const drawnSecond = await second.drawMany([1, 2, 3], "dua:morning", ["a", "b", "c"], options);
+  assert.deepEqual([...drawnSecond.keys()], ["3"]);
+
+  const flagged = sheet.grid.Duas_50.map((row, idx) => (row?.[7] === true ? idx + 1 : null));
+  const expected = new Set([...drawnFirst.values(), ...drawnSecond.values()]);
+  assert.deepEqual(
+    flagged.filter(Boolean),
+    duas.filter((dua) => expected.has(dua.id)).map((dua) => dua.rowNumber)
+  );
+});
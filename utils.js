@@ -1,3 +1,5 @@
+const { normalizeArabicScript, stripArabicArticle } = require("./arabicText");
+
 const DEFAULT_TIMEZONE = "Asia/Kolkata";
 const LOG_LEVELS = {
   important: 1,
@@ -83,8 +85,7 @@ function escapeHtml(value) {
 }
 
 function normalizeText(text) {
-  return String(text ?? "")
-    .normalize("NFKD")
+  return normalizeArabicScript(String(text ?? "").normalize("NFKD"))
     .replace(/[\u0300-\u036f]/g, "")
     .toLowerCase()
     .replace(/[^\p{L}\p{N}\s]/gu, " ")
@@ -92,6 +93,10 @@ function normalizeText(text) {
     .trim();
 }
 
+function normalizeSearchText(text) {
+  return normalizeText(text).split(" ").map(stripArabicArticle).join(" ");
+}
+
 function tokenizeWords(text) {
   return normalizeText(text)
     .split(" ")
@@ -150,6 +155,12 @@ function getLocalDateParts(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
   };
 }
 
+function addDaysToDateKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
 function getWeekdayIndexInTimeZone(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
   return getLocalDateParts(date, timeZone).weekdayIndex;
 }
@@ -204,6 +215,20 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+function toDuaDisplayModel(dua) {
+  const source = dua.source || dua.source_ref || dua.reference || "N/A";
+  const authenticity =
+    dua.authenticity ||
+    dua.reference ||
+    (dua.hisnul_number ? `Hisnul Muslim #${dua.hisnul_number}` : "Hisnul Muslim");
+
+  return {
+    ...dua,
+    source,
+    authenticity
+  };
+}
+
 function formatDuaMessage(dua) {
   const separator = "━━━━━━━━━━━━━━━━━━";
   const clip = (value, max) => {
@@ -234,7 +259,7 @@ function formatDuaMessage(dua) {
   return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
 }
 
-function formatHadithMessage(hadith) {
+function formatHadithMessage(hadith, options = {}) {
   const separator = "━━━━━━━━━━━━━━━━━━";
   const clip = (value, max) => {
     const text = escapeHtml(value || "N/A");
@@ -244,9 +269,9 @@ function formatHadithMessage(hadith) {
   const message = [
     "🌿 <b>Tafseer Bot</b>",
     separator,
-    "📜 <b>Nightly Sahih Hadith</b>",
+    `📜 <b>${escapeHtml(options.title || "Nightly Sahih Hadith")}</b>`,
     separator,
-    "📖 <b>Hadith of the Day</b>",
+    `📖 <b>${escapeHtml(options.subtitle || "Hadith of the Day")}</b>`,
     separator,
     "🕋 <b>Arabic</b>",
     clip(hadith.arabic, 900),
@@ -258,22 +283,178 @@ function formatHadithMessage(hadith) {
     clip(hadith.urdu, 900),
     separator,
     `📚 <b>Source:</b> ${clip(hadith.source, 220)}`,
-    "✅ <b>Authenticity:</b> Sahih"
+    `✅ <b>Authenticity:</b> ${clip(options.authenticity || "Sahih", 120)}`
   ].join("\n");
 
   return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
 }
 
-function formatSalahMessage(prayerName) {
+function formatSalahMessage(prayerName, options = {}) {
   const separator = "━━━━━━━━━━━━━━━━━━";
   const safePrayer = escapeHtml(prayerName || "Prayer");
+  const safeLocation = escapeHtml(options.location || "Delhi");
+  const minutesBefore = Number(options.minutesBefore) || 0;
+  const headline =
+    minutesBefore > 0
+      ? `⏰ <b>In ${minutesBefore} min:</b> ${safePrayer} (${safeLocation})`
+      : `🕌 <b>Now:</b> ${safePrayer} (${safeLocation})`;
+  let footer = "⏳ <b>Please prepare for salah.</b>";
+  if (options.note) {
+    footer = `<b>${escapeHtml(options.note)}</b>`;
+  } else if (minutesBefore > 0) {
+    footer = "🚿 <b>Time to make wudu and head to the masjid.</b>";
+  }
   const message = [
     "🌿 <b>Tafseer Bot</b>",
     separator,
     "🕌 <b>Salah Reminder</b>",
     separator,
-    `🕌 <b>Now:</b> ${safePrayer} (Delhi)`,
-    "⏳ <b>Please prepare for salah.</b>"
+    headline,
+    ...(options.time ? [`🕰 <b>Time:</b> ${escapeHtml(options.time)}`] : []),
+    footer
+  ].join("\n");
+
+  return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
+}
+
+function formatDuration(totalMinutes) {
+  const minutes = Math.max(0, Math.round(totalMinutes));
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, "0")}m` : `${rest}m`;
+}
+
+function formatHijriDate(hijri) {
+  if (!hijri?.day || !hijri?.monthName || !hijri?.year) {
+    return "";
+  }
+  return `${hijri.day} ${hijri.monthName} ${hijri.year} AH`;
+}
+
+function formatPrayerTimetableMessage(timetable, options = {}) {
+  const separator = "━━━━━━━━━━━━━━━━━━";
+  const rows = [
+    ["🌄", "Fajr"],
+    ["🌅", "Sunrise"],
+    ["☀️", "Dhuhr"],
+    ["🌤", "Asr"],
+    ["🌇", "Maghrib"],
+    ["🌙", "Isha"]
+  ];
+  const next = timetable.nextPrayer;
+  const location = escapeHtml(timetable.location?.label || "Delhi");
+  const lines = [
+    "🌿 <b>Tafseer Bot</b>",
+    separator,
+    `🕌 <b>${escapeHtml(options.title || "Prayer Times")}</b> · ${location}`,
+    separator
+  ];
+
+  if (options.compact) {
+    for (const day of timetable.days) {
+      const weekday = (day.gregorian.weekday || "").slice(0, 3);
+      const dateLabel = [weekday, day.gregorian.readable.split(" ").slice(0, 2).join(" ")]
+        .filter(Boolean)
+        .join(" ");
+      const hijri = day.hijri?.day ? ` · 🌙 ${day.hijri.day} ${day.hijri.monthName}` : "";
+      const times = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"]
+        .map((prayer) => `${prayer.charAt(0)} ${day.timings[prayer] || "--:--"}`)
+        .join("  ");
+      const marker = day.dateKey === timetable.now?.dateKey ? "➡️ " : "";
+      lines.push(`${marker}<b>${escapeHtml(dateLabel || day.dateKey)}</b>${escapeHtml(hijri)}`);
+      lines.push(`<code>${escapeHtml(times)}</code>`);
+    }
+  } else {
+    for (const day of timetable.days) {
+      const dateLabel = [day.gregorian.weekday, day.gregorian.readable].filter(Boolean).join(", ");
+      lines.push(`📅 <b>${escapeHtml(dateLabel || day.dateKey)}</b>`);
+      const hijri = formatHijriDate(day.hijri);
+      if (hijri) {
+        lines.push(`🌙 ${escapeHtml(hijri)}`);
+      }
+      lines.push(separator);
+      for (const [icon, prayer] of rows) {
+        const time = escapeHtml(day.timings[prayer] || "--:--");
+        const isNext = next && next.dateKey === day.dateKey && next.prayer === prayer;
+        lines.push(isNext ? `➡️ <b>${prayer}  ${time}</b>` : `${icon} ${prayer}  ${time}`);
+      }
+    }
+  }
+
+  if (next) {
+    const when = next.dateKey === timetable.now?.dateKey ? "" : " tomorrow";
+    lines.push(
+      separator,
+      `⏳ <b>Next:</b> ${escapeHtml(next.prayer)}${when} at ${escapeHtml(next.time)} (in ${formatDuration(next.minutesUntil)})`
+    );
+  }
+
+  const message = lines.join("\n");
+  return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
+}
+
+function formatOrdinal(value) {
+  const number = Number(value);
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${number}th`;
+  }
+  const suffix = { 1: "st", 2: "nd", 3: "rd" }[number % 10] || "th";
+  return `${number}${suffix}`;
+}
+
+function formatRamadanMessage(kind, options = {}) {
+  const separator = "━━━━━━━━━━━━━━━━━━";
+  const location = escapeHtml(options.location || "Delhi");
+  const time = escapeHtml(options.time || "");
+  const dayLine = options.ramadanNight
+    ? [`🌙 <b>Night ${options.ramadanNight} of Ramadan</b>`]
+    : options.ramadanDay
+      ? [`🌙 <b>Day ${options.ramadanDay} of Ramadan</b>`]
+      : [];
+  const clip = (value, max) => {
+    const text = escapeHtml(value || "N/A");
+    return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+  };
+
+  const bodies = {
+    suhoor_warning: [
+      `🍽 <b>Suhoor ends soon:</b> Imsak at ${time} (${location})`,
+      `⏳ About ${escapeHtml(options.minutesLeft || 30)} minutes left. Finish eating and drink water.`
+    ],
+    imsak: [
+      `🌄 <b>Imsak:</b> ${time} (${location})`,
+      "🤲 Stop eating and drinking. May Allah accept your fast."
+    ],
+    iftar: [
+      `🌇 <b>Iftar time:</b> ${time} (${location})`,
+      separator,
+      "🤲 <b>Dua for breaking the fast</b>",
+      clip(options.dua?.arabic, 600),
+      clip(options.dua?.english, 600),
+      `📚 <b>Source:</b> ${clip(options.dua?.source, 220)}`
+    ],
+    taraweeh: [
+      `🕌 <b>Taraweeh tonight</b> after Isha (${time}, ${location})`,
+      "📖 Stand with the Qur'an tonight, even if only a few rakahs."
+    ],
+    last_ten: [
+      `✨ <b>Last ten nights:</b> seek Laylat al-Qadr (${location})`,
+      options.ramadanNight % 2 === 1
+        ? `🌌 Tonight is the ${formatOrdinal(options.ramadanNight)} night, an odd night.`
+        : "🌌 Increase in worship, Qur'an and dua tonight.",
+      "🤲 اللَّهُمَّ إِنَّكَ عَفُوٌّ تُحِبُّ الْعَفْوَ فَاعْفُ عَنِّي",
+      "O Allah, You are Pardoning and love to pardon, so pardon me. (Tirmidhi 3513)"
+    ]
+  };
+
+  const message = [
+    "🌿 <b>Tafseer Bot</b>",
+    separator,
+    "🌙 <b>Ramadan Reminder</b>",
+    ...dayLine,
+    separator,
+    ...(bodies[kind] || [])
   ].join("\n");
 
   return message.length <= 4096 ? message : `${message.slice(0, 4093)}...`;
@@ -301,16 +482,23 @@ module.exports = {
   logError,
   escapeHtml,
   normalizeText,
+  normalizeSearchText,
   tokenizeWords,
   parseUsedFlag,
   getLocalDateParts,
+  addDaysToDateKey,
   getWeekdayIndexInTimeZone,
   formatDateTimeInTimeZone,
   cleanApiTime,
   toMinutes,
   nowIso,
+  toDuaDisplayModel,
   formatDuaMessage,
   formatHadithMessage,
   formatSalahMessage,
+  formatDuration,
+  formatHijriDate,
+  formatPrayerTimetableMessage,
+  formatRamadanMessage,
   formatClassReminderMessage
 };